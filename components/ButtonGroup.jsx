@@ -0,0 +1,71 @@
+import React, { useMemo } from 'react';
+import { ButtonGroupContext } from './ButtonGroupContext.js';
+
+/**
+ * ButtonGroup - Lays out related ResponsiveButtons as one control
+ *
+ * Attached groups join the buttons edge to edge: only the outer corners keep the radius of
+ * `shape`. Buttons inherit `size`, `variant`, `shape` and `disabled` from the group unless
+ * they set their own.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - ResponsiveButtons (or SplitButton parts)
+ * @param {string} props.className - Additional CSS classes
+ * @param {'horizontal'|'vertical'} props.orientation - Direction of the buttons (default: 'horizontal')
+ * @param {'xs'|'sm'|'md'|'lg'|'xl'} props.size - Size shared by the buttons
+ * @param {string} props.variant - Variant shared by the buttons
+ * @param {'square'|'rounded'|'pill'} props.shape - Shape of the group's outer corners (default: 'rounded')
+ * @param {boolean} props.attached - Join the buttons, otherwise they are spaced apart (default: true)
+ * @param {boolean} props.fullWidth - Stretch the group and share the width between the buttons (default: false)
+ * @param {boolean} props.disabled - Disable every button in the group (default: false)
+ * @param {string} props.label - Accessible name of the group
+ *
+ * @example
+ * <ButtonGroup variant="outline" size="sm" label="Text alignment">
+ *   <ResponsiveButton>Left</ResponsiveButton>
+ *   <ResponsiveButton>Center</ResponsiveButton>
+ *   <ResponsiveButton>Right</ResponsiveButton>
+ * </ButtonGroup>
+ */
+const ButtonGroup = ({
+  children,
+  className = '',
+  orientation = 'horizontal',
+  size,
+  variant,
+  shape = 'rounded',
+  attached = true,
+  fullWidth = false,
+  disabled = false,
+  label,
+  role = 'group',
+  ...props
+}) => {
+  const group = useMemo(
+    () => ({ size, variant, shape, disabled }),
+    [size, variant, shape, disabled]
+  );
+
+  const groupClasses = [
+    'button-group',
+    `button-group--${orientation}`,
+    attached && 'button-group--attached',
+    fullWidth && 'button-group--full-width',
+    className
+  ].filter(Boolean).join(' ');
+
+  return (
+    <ButtonGroupContext.Provider value={group}>
+      <div
+        role={role}
+        aria-label={label}
+        className={groupClasses}
+        {...props}
+      >
+        {children}
+      </div>
+    </ButtonGroupContext.Provider>
+  );
+};
+
+export default ButtonGroup;
@@ -0,0 +1,7 @@
+import { createContext } from 'react';
+
+/**
+ * ButtonGroupContext - Shared size, variant, shape and disabled state of a ButtonGroup
+ * ResponsiveButton falls back to these when it has no prop of its own. It is null outside a group.
+ */
+export const ButtonGroupContext = createContext(null);
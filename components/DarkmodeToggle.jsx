@@ -1,4 +1,14 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef, useContext, useCallback } from 'react';
+import { ThemeContext } from './ThemeContext.js';
+import { THEME_MODE_ATTRIBUTE } from './ThemeScript.jsx';
+import {
+  DEFAULT_THEME_STORAGE_KEY,
+  resolveThemeStorage,
+  readStoredThemeMode,
+  writeStoredThemeMode,
+  parseStoredThemeMode
+} from './themeStorage.js';
+import { useIsomorphicLayoutEffect } from './isomorphicLayoutEffect.js';
 import '../style.css'
 
 /**
@@ -8,14 +18,20 @@ import '../style.css'
  * @param {boolean} props.isDarkMode - Current dark mode state
  * @param {function} props.onToggle - Function to toggle dark mode
  * @param {string} [props.className=''] - Additional CSS classes to apply
- * @param {'switch' | 'button' | 'icon'} [props.variant='switch'] - Toggle variant style
+ * @param {'light' | 'dark' | 'system'} [props.themeMode] - Current theme mode (segmented and cycle variants)
+ * @param {function} [props.onThemeModeChange] - Called with the newly selected mode (segmented and cycle variants)
+ * @param {'switch' | 'button' | 'icon' | 'segmented' | 'cycle'} [props.variant='switch'] - Toggle variant style
+ *   - segmented: Light / Dark / System radio group
+ *   - cycle: Single button cycling light → dark → system
  * @param {'small' | 'medium' | 'large'} [props.size='medium'] - Component size
  * @param {boolean} [props.disabled=false] - Whether the toggle is disabled
- * @param {boolean} [props.showLabels=true] - Whether to show sun/moon labels (switch variant only)
+ * @param {boolean} [props.showLabels=true] - Whether to show sun/moon labels (switch variant) or mode labels (segmented and cycle variants)
  * @param {string} [props.lightIcon='☀️'] - Custom icon for light mode
  * @param {string} [props.darkIcon='🌙'] - Custom icon for dark mode
- * @param {string} [props.lightLabel='Light'] - Custom label for light mode (button variant only)
- * @param {string} [props.darkLabel='Dark'] - Custom label for dark mode (button variant only)
+ * @param {string} [props.systemIcon='🖥️'] - Custom icon for system mode (segmented and cycle variants)
+ * @param {string} [props.lightLabel='Light'] - Custom label for light mode (button, segmented and cycle variants)
+ * @param {string} [props.darkLabel='Dark'] - Custom label for dark mode (button, segmented and cycle variants)
+ * @param {string} [props.systemLabel='System'] - Custom label for system mode (segmented and cycle variants)
  * @param {boolean} [props.animate=true] - Whether to enable animations
  * @param {'left' | 'right' | 'center'} [props.alignment='center'] - Text alignment for button variant
  * @param {function} [props.onToggleStart] - Callback fired when toggle animation starts
@@ -26,8 +42,10 @@ import '../style.css'
  * @param {Object} [props.dataAttributes] - Object of data-* attributes to apply
  */
 export const DarkModeToggle = ({ 
-  isDarkMode, 
-  onToggle, 
+  isDarkMode: isDarkModeProp, 
+  onToggle: onToggleProp, 
+  themeMode: themeModeProp,
+  onThemeModeChange: onThemeModeChangeProp,
   className = '', 
   variant = 'switch',
   size = 'medium',
@@ -35,8 +53,10 @@ export const DarkModeToggle = ({
   showLabels = true,
   lightIcon = '☀️',
   darkIcon = '🌙',
+  systemIcon = '🖥️',
   lightLabel = 'Light',
   darkLabel = 'Dark',
+  systemLabel = 'System',
   animate = false,
   alignment = 'center',
   onToggleStart,
@@ -46,23 +66,80 @@ export const DarkModeToggle = ({
   id,
   dataAttributes = {}
 }) => {
-  // Handle toggle with callbacks
-  const handleToggle = async () => {
+  const theme = useContext(ThemeContext);
+  const segmentRefs = useRef([]);
+
+  // Explicit props win over the ThemeProvider
+  const isDarkMode = isDarkModeProp !== undefined ? isDarkModeProp : Boolean(theme && theme.isDarkMode);
+  const onToggle = onToggleProp || (theme && theme.toggleDarkMode);
+  const themeMode = themeModeProp || (theme && theme.themeMode);
+  const onThemeModeChange = onThemeModeChangeProp || (theme && theme.setThemeMode);
+
+  // Tri-state variants work with a mode; fall back to the boolean for convenience
+  const currentMode = themeMode || (isDarkMode ? 'dark' : 'light');
+  const modeIcons = { light: lightIcon, dark: darkIcon, system: systemIcon };
+  const modeLabels = { light: lightLabel, dark: darkLabel, system: systemLabel };
+
+  // Run a change with start/complete callbacks
+  const runWithCallbacks = (nextValue, change) => {
     if (disabled) return;
     
     if (onToggleStart) {
-      onToggleStart(!isDarkMode);
+      onToggleStart(nextValue);
     }
     
-    onToggle();
+    change();
     
     // Simulate animation completion
     if (animate && onToggleComplete) {
       setTimeout(() => {
-        onToggleComplete(!isDarkMode);
+        onToggleComplete(nextValue);
       }, 300);
     } else if (onToggleComplete) {
-      onToggleComplete(!isDarkMode);
+      onToggleComplete(nextValue);
+    }
+  };
+
+  // Handle toggle with callbacks
+  const handleToggle = () => {
+    if (!onToggle) return;
+    runWithCallbacks(!isDarkMode, onToggle);
+  };
+
+  // Handle mode selection (segmented and cycle variants)
+  const handleModeChange = (mode) => {
+    if (mode === currentMode || !onThemeModeChange) return;
+    runWithCallbacks(mode, () => onThemeModeChange(mode));
+  };
+
+  // Arrow key navigation for the segmented radio group - selection follows focus
+  const handleSegmentKeyDown = (e) => {
+    const currentIndex = THEME_MODES.indexOf(currentMode);
+    let nextIndex;
+
+    switch (e.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        nextIndex = (currentIndex + 1) % THEME_MODES.length;
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        nextIndex = (currentIndex - 1 + THEME_MODES.length) % THEME_MODES.length;
+        break;
+      case 'Home':
+        nextIndex = 0;
+        break;
+      case 'End':
+        nextIndex = THEME_MODES.length - 1;
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    handleModeChange(THEME_MODES[nextIndex]);
+    if (segmentRefs.current[nextIndex]) {
+      segmentRefs.current[nextIndex].focus();
     }
   };
 
@@ -118,6 +195,74 @@ export const DarkModeToggle = ({
     );
   }
 
+  if (variant === 'segmented') {
+    return (
+      <div
+        className={`dark-mode-segmented ${sizeClass} ${animateClass} ${disabledClass} ${className}`}
+        role="radiogroup"
+        aria-label={ariaLabel || 'Color theme'}
+        aria-disabled={disabled || undefined}
+        onKeyDown={handleSegmentKeyDown}
+        style={customStyles}
+        id={id}
+        {...dataProps}
+      >
+        {THEME_MODES.map((mode, index) => {
+          const isActive = mode === currentMode;
+          return (
+            <button
+              key={mode}
+              ref={(el) => { segmentRefs.current[index] = el; }}
+              type="button"
+              role="radio"
+              aria-checked={isActive}
+              aria-label={showLabels ? undefined : modeLabels[mode]}
+              tabIndex={isActive ? 0 : -1}
+              disabled={disabled}
+              className={`dark-mode-segmented-option ${isActive ? 'dark-mode-segmented-option--active' : ''} ${animateClass}`}
+              onClick={() => handleModeChange(mode)}
+            >
+              <span className="dark-mode-segmented-icon" aria-hidden="true">
+                {modeIcons[mode]}
+              </span>
+              {showLabels && (
+                <span className="dark-mode-segmented-label">
+                  {modeLabels[mode]}
+                </span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+    );
+  }
+
+  if (variant === 'cycle') {
+    const nextMode = getNextThemeMode(currentMode);
+    return (
+      <button
+        type="button"
+        className={`dark-mode-cycle-toggle ${sizeClass} ${animateClass} ${disabledClass} ${className}`}
+        onClick={() => handleModeChange(nextMode)}
+        disabled={disabled}
+        aria-label={ariaLabel || `Theme: ${modeLabels[currentMode]}. Switch to ${modeLabels[nextMode]} theme`}
+        style={customStyles}
+        id={id}
+        data-theme-mode={currentMode}
+        {...dataProps}
+      >
+        <span className={`dark-mode-cycle-icon ${animateClass}`} key={currentMode} aria-hidden="true">
+          {modeIcons[currentMode]}
+        </span>
+        {showLabels && (
+          <span className="dark-mode-cycle-label" aria-hidden="true">
+            {modeLabels[currentMode]}
+          </span>
+        )}
+      </button>
+    );
+  }
+
   if (variant === 'icon') {
     return (
       <button
@@ -167,17 +312,77 @@ export const DarkModeToggle = ({
   );
 };
 
-export const useDarkMode = (defaultValue = false) => {
-  const [isDarkMode, setIsDarkMode] = useState(() => {
-    // // Check if running in browser
-    if (typeof window !== 'undefined') {
-      // Fall back to system preference
-      return window.matchMedia('(prefers-color-scheme: dark)').matches;
-    }
-    return defaultValue;
-  });
+// Order used when cycling through theme modes
+const THEME_MODES = ['light', 'dark', 'system'];
+
+const COLOR_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * Reads the mode to start from on the client: storage first, then whatever ThemeScript put on <html>
+ */
+const readClientThemeMode = (storage, storageKey, fallbackMode) => {
+  const storedMode = readStoredThemeMode(storage, storageKey);
+  if (storedMode) return storedMode;
+
+  return parseStoredThemeMode(document.documentElement.getAttribute(THEME_MODE_ATTRIBUTE)) || fallbackMode;
+};
+
+const getSystemPreference = (fallback = 'light') => {
+  if (typeof window !== 'undefined' && window.matchMedia) {
+    return window.matchMedia(COLOR_SCHEME_QUERY).matches ? 'dark' : 'light';
+  }
+  return fallback;
+};
+
+/**
+ * Resolves a theme mode to the theme that is actually shown
+ * @returns {'light'|'dark'}
+ */
+const resolveThemeMode = (mode, systemPreference) => (
+  mode === 'system' ? systemPreference : mode
+);
+
+/**
+ * Returns the mode that follows `mode` in the light → dark → system cycle
+ */
+const getNextThemeMode = (mode) => (
+  THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length]
+);
+
+/**
+ * useDarkMode - Simple dark mode hook that follows the system preference
+ *
+ * @param {boolean} [defaultValue=false] - Dark mode state when no system preference is available
+ * @param {Object} [options] - Configuration options
+ * @param {boolean|'localStorage'|'sessionStorage'|'cookie'|Object} [options.persist=false] - Where to remember the user's choice (or a custom { get, set } adapter)
+ * @param {string} [options.storageKey='rnp-theme'] - Key used to store the preference
+ * @returns {Array} - [isDarkMode, toggleDarkMode, { themeMode, resolvedTheme, setThemeMode, cycleThemeMode }]
+ */
+export const useDarkMode = (defaultValue = false, {
+  persist = false,
+  storageKey = DEFAULT_THEME_STORAGE_KEY
+} = {}) => {
+  const storage = useMemo(() => resolveThemeStorage(persist), [persist]);
+
+  // The first render matches the server ('system' + defaultValue); the real values are read before paint
+  const [themeMode, setThemeModeState] = useState('system');
+  const [systemPreference, setSystemPreference] = useState(defaultValue ? 'dark' : 'light');
+  const [isSynced, setIsSynced] = useState(false);
+
+  const resolvedTheme = resolveThemeMode(themeMode, systemPreference);
+  const isDarkMode = resolvedTheme === 'dark';
+
+  // Pick up the stored choice (or ThemeScript's) and the system preference
+  useIsomorphicLayoutEffect(() => {
+    setThemeModeState(readClientThemeMode(storage, storageKey, 'system'));
+    setSystemPreference(getSystemPreference(defaultValue ? 'dark' : 'light'));
+    setIsSynced(true);
+  }, []);
 
   useEffect(() => {
+    // Leave ThemeScript's classes alone until the real mode is known
+    if (!isSynced) return;
+
     // Apply dark mode class to document
     if (isDarkMode) {
       document.documentElement.classList.add('dark');
@@ -186,14 +391,15 @@ export const useDarkMode = (defaultValue = false) => {
       document.documentElement.classList.remove('dark');
       document.documentElement.classList.add('auto-dark');
     }
-  }, [isDarkMode]);
+    document.documentElement.setAttribute(THEME_MODE_ATTRIBUTE, themeMode);
+  }, [isDarkMode, themeMode, isSynced]);
 
   // Listen for system theme changes
   useEffect(() => {
     if (typeof window !== 'undefined') {
-      const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+      const mediaQuery = window.matchMedia(COLOR_SCHEME_QUERY);
       const handleChange = (e) => {
-        setIsDarkMode(e.matches);
+        setSystemPreference(e.matches ? 'dark' : 'light');
       };
 
       mediaQuery.addEventListener('change', handleChange);
@@ -201,27 +407,52 @@ export const useDarkMode = (defaultValue = false) => {
     }
   }, []);
 
+  // Keep other tabs in sync
+  useEffect(() => {
+    if (!storage) return;
+
+    return storage.subscribe(storageKey, (newValue) => {
+      setThemeModeState(parseStoredThemeMode(newValue) || 'system');
+    });
+  }, [storage, storageKey]);
+
+  const setThemeMode = (mode) => {
+    setThemeModeState(mode);
+    writeStoredThemeMode(storage, storageKey, mode);
+  };
+
   const toggleDarkMode = () => {
-    setIsDarkMode(!isDarkMode);
+    setThemeMode(isDarkMode ? 'light' : 'dark');
   };
 
-  return [isDarkMode, toggleDarkMode];
+  const cycleThemeMode = () => {
+    setThemeMode(getNextThemeMode(themeMode));
+  };
+
+  return [isDarkMode, toggleDarkMode, { themeMode, resolvedTheme, setThemeMode, cycleThemeMode }];
 };
 
 /**
  * useDarkModeAdvanced - Enhanced version of useDarkMode with more options
- * Note: Uses in-memory storage instead of localStorage for Claude.ai compatibility
+ * Note: State is kept in memory unless `persist` is set
  * 
  * @param {Object} [options] - Configuration options
  * @param {boolean} [options.defaultValue=false] - Default dark mode state when no system preference is available
- * @param {boolean} [options.respectSystemPreference=true] - Whether to respect the user's system color scheme preference
+ * @param {boolean} [options.respectSystemPreference=true] - Whether to start in 'system' mode (follow the user's color scheme) instead of `defaultValue`
  * @param {boolean} [options.watchSystemChanges=true] - Whether to listen for system theme changes
- * @param {function} [options.onChange] - Callback fired when dark mode state changes
+ * @param {function} [options.onChange] - Callback fired when dark mode state changes - receives (isDarkMode, themeMode)
  * @param {string} [options.documentClass='dark'] - CSS class to apply to document element in dark mode
  * @param {string} [options.lightClass='auto-dark'] - CSS class to apply to document element in light mode
  * @param {boolean} [options.applyToBody=false] - Whether to also apply classes to document body
  * @param {Object} [options.customClasses] - Custom classes to apply { dark: 'custom-dark', light: 'custom-light' }
- * @returns {Object} - { isDarkMode, toggleDarkMode, setDarkMode, systemPreference }
+ * @param {boolean|'localStorage'|'sessionStorage'|'cookie'|Object} [options.persist=false] - Where to remember the user's choice
+ *   - true / 'localStorage': Persist across sessions (synced between tabs)
+ *   - 'sessionStorage': Persist for the current tab only
+ *   - 'cookie': Persist in a cookie (readable by the server)
+ *   - Object: Custom adapter { get(key), set(key, value), remove?(key), subscribe?(key, callback) } - keep it stable between renders
+ * @param {string} [options.storageKey='rnp-theme'] - Key used to store the preference
+ * @param {boolean} [options.syncTabs=true] - Whether to follow changes made in other tabs (when the storage supports it)
+ * @returns {Object} - { isDarkMode, themeMode, resolvedTheme, toggleDarkMode, setDarkMode, setThemeMode, cycleThemeMode, clearStoredPreference, systemPreference }
  */
 export const useDarkModeAdvanced = ({
   defaultValue = false,
@@ -231,26 +462,38 @@ export const useDarkModeAdvanced = ({
   documentClass = 'dark',
   lightClass = 'auto-dark',
   applyToBody = false,
-  customClasses = {}
+  customClasses = {},
+  persist = false,
+  storageKey = DEFAULT_THEME_STORAGE_KEY,
+  syncTabs = true
 } = {}) => {
-  // Initialize state with system preference or default
-  const [isDarkMode, setIsDarkMode] = useState(() => {
-    if (typeof window !== 'undefined' && respectSystemPreference) {
-      return window.matchMedia('(prefers-color-scheme: dark)').matches;
-    }
-    return defaultValue;
-  });
+  const storage = useMemo(() => resolveThemeStorage(persist), [persist]);
+
+  // Mode used when nothing is stored
+  const initialMode = respectSystemPreference ? 'system' : (defaultValue ? 'dark' : 'light');
+
+  // The first render matches the server; the stored choice and system preference are read before paint
+  const [themeMode, setThemeModeState] = useState(initialMode);
 
   // Track system preference separately
-  const [systemPreference, setSystemPreference] = useState(() => {
-    if (typeof window !== 'undefined') {
-      return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
-    }
-    return 'light';
-  });
+  const [systemPreference, setSystemPreference] = useState(defaultValue ? 'dark' : 'light');
+  const [isSynced, setIsSynced] = useState(false);
+
+  const resolvedTheme = resolveThemeMode(themeMode, systemPreference);
+  const isDarkMode = resolvedTheme === 'dark';
+
+  // Initialize mode with stored choice, ThemeScript's mode or the initial mode
+  useIsomorphicLayoutEffect(() => {
+    setThemeModeState(readClientThemeMode(storage, storageKey, initialMode));
+    setSystemPreference(getSystemPreference(defaultValue ? 'dark' : 'light'));
+    setIsSynced(true);
+  }, []);
 
   // Apply dark mode classes to document/body
   useEffect(() => {
+    // Leave ThemeScript's classes alone until the real mode is known
+    if (!isSynced) return;
+
     const applyClasses = (element, isDark) => {
       const darkClass = customClasses.dark || documentClass;
       const lightClassToUse = customClasses.light || lightClass;
@@ -270,6 +513,7 @@ export const useDarkModeAdvanced = ({
 
     // Apply to document element
     applyClasses(document.documentElement, isDarkMode);
+    document.documentElement.setAttribute(THEME_MODE_ATTRIBUTE, themeMode);
     
     // Apply to body if requested
     if (applyToBody) {
@@ -278,42 +522,68 @@ export const useDarkModeAdvanced = ({
 
     // Fire onChange callback
     if (onChange) {
-      onChange(isDarkMode);
+      onChange(isDarkMode, themeMode);
     }
-  }, [isDarkMode, documentClass, lightClass, applyToBody, customClasses, onChange]);
+  }, [isDarkMode, themeMode, isSynced, documentClass, lightClass, applyToBody, customClasses, onChange]);
 
   // Listen for system theme changes
   useEffect(() => {
     if (typeof window !== 'undefined' && watchSystemChanges) {
-      const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+      const mediaQuery = window.matchMedia(COLOR_SCHEME_QUERY);
       
       const handleChange = (e) => {
-        const newSystemPreference = e.matches ? 'dark' : 'light';
-        setSystemPreference(newSystemPreference);
-        
-        if (respectSystemPreference) {
-          setIsDarkMode(e.matches);
-        }
+        setSystemPreference(e.matches ? 'dark' : 'light');
       };
 
       mediaQuery.addEventListener('change', handleChange);
       return () => mediaQuery.removeEventListener('change', handleChange);
     }
-  }, [respectSystemPreference, watchSystemChanges]);
+  }, [watchSystemChanges]);
 
-  const toggleDarkMode = () => {
-    setIsDarkMode(!isDarkMode);
-  };
+  // Follow changes made in other tabs
+  useEffect(() => {
+    if (!storage || !syncTabs) return;
 
-  const setDarkMode = (value) => {
-    setIsDarkMode(Boolean(value));
-  };
+    return storage.subscribe(storageKey, (newValue) => {
+      setThemeModeState(parseStoredThemeMode(newValue) || initialMode);
+    });
+  }, [storage, storageKey, syncTabs, initialMode]);
+
+  // Setters keep their identity until what they use changes, so ThemeProvider's consumers never hold stale ones
+  const setThemeMode = useCallback((mode) => {
+    setThemeModeState(mode);
+    writeStoredThemeMode(storage, storageKey, mode);
+  }, [storage, storageKey]);
+
+  const toggleDarkMode = useCallback(() => {
+    setThemeMode(isDarkMode ? 'light' : 'dark');
+  }, [setThemeMode, isDarkMode]);
+
+  const setDarkMode = useCallback((value) => {
+    setThemeMode(value ? 'dark' : 'light');
+  }, [setThemeMode]);
+
+  const cycleThemeMode = useCallback(() => {
+    setThemeMode(getNextThemeMode(themeMode));
+  }, [setThemeMode, themeMode]);
+
+  // Forget the stored choice and go back to the initial mode
+  const clearStoredPreference = useCallback(() => {
+    if (storage) {
+      storage.remove(storageKey);
+    }
+    setThemeModeState(initialMode);
+  }, [storage, storageKey, initialMode]);
 
   return {
     isDarkMode,
+    themeMode,
+    resolvedTheme,
     toggleDarkMode,
     setDarkMode,
+    setThemeMode,
+    cycleThemeMode,
+    clearStoredPreference,
     systemPreference
   };
 };
-
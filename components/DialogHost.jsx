@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import ResponsiveContainer from './ResponsiveContainer.jsx';
+import ResponsiveButton from './ResponsiveButton.jsx';
+import { subscribeDialogs, closeDialog, removeDialog } from './dialogStore.js';
+
+const DialogView = ({ dialog, className, ...containerProps }) => {
+  const { id, type, open, options } = dialog;
+  const {
+    title,
+    message,
+    destructive = false,
+    confirmLabel = type === 'alert' ? 'OK' : 'Confirm',
+    cancelLabel = 'Cancel',
+    confirmVariant = destructive ? 'danger' : 'primary',
+    cancelVariant = 'outline',
+    size = 'sm',
+    closeOnBackdrop = true
+  } = options;
+
+  const titleId = `rnp-dialog-${id}-title`;
+  const messageId = `rnp-dialog-${id}-message`;
+
+  return (
+    <ResponsiveContainer
+      modal
+      modalOpen={open}
+      onModalClose={() => closeDialog(id)}
+      onAfterClose={() => removeDialog(id)}
+      modalRole="alertdialog"
+      modalSize={size}
+      modalCloseOnBackdrop={closeOnBackdrop}
+      // Without a title the message is the accessible name
+      modalTitleId={title ? titleId : messageId}
+      modalDescriptionId={title && message ? messageId : undefined}
+      radius="lg"
+      shadow="xl"
+      className={['dialog', className].filter(Boolean).join(' ')}
+      {...containerProps}
+    >
+      {title && <h2 id={titleId} className="dialog__title">{title}</h2>}
+      {message && <div id={messageId} className="dialog__message">{message}</div>}
+
+      {/* Cancel comes first so it gets the initial focus, the least destructive choice */}
+      <div className="dialog__actions">
+        {type === 'confirm' && (
+          <ResponsiveButton variant={cancelVariant} onClick={() => closeDialog(id, false)}>
+            {cancelLabel}
+          </ResponsiveButton>
+        )}
+        <ResponsiveButton
+          variant={confirmVariant}
+          onClick={() => closeDialog(id, type === 'confirm' ? true : undefined)}
+        >
+          {confirmLabel}
+        </ResponsiveButton>
+      </div>
+    </ResponsiveContainer>
+  );
+};
+
+/**
+ * DialogHost - Renders the dialogs opened with confirm(), alert() and useDialog()
+ *
+ * Mount it once, near the root of the app. Without a mounted host, confirm and alert
+ * fall back to the browser's native dialogs.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.className - Additional CSS classes for every dialog
+ * @param {...Object} props - Other ResponsiveContainer modal props applied to every dialog
+ *   (e.g. modalAnimation, modalBlurBackdrop, darkBackground)
+ *
+ * @example
+ * <ThemeProvider>
+ *   <App />
+ *   <DialogHost modalAnimation="scale" />
+ * </ThemeProvider>
+ */
+const DialogHost = (props) => {
+  const [dialogs, setDialogs] = useState([]);
+
+  useEffect(() => subscribeDialogs(setDialogs), []);
+
+  return dialogs.map((dialog) => (
+    <DialogView key={dialog.id} dialog={dialog} {...props} />
+  ));
+};
+
+export default DialogHost;
@@ -0,0 +1,7 @@
+import { createContext } from 'react';
+
+/**
+ * GridContext - What the breakpoints of the enclosing ResponsiveGrid respond to
+ * GridItem reads it so its spans follow the grid's responsiveTo. It is null outside a grid.
+ */
+export const GridContext = createContext(null);
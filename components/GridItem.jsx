@@ -0,0 +1,75 @@
+import React, { useContext } from 'react';
+import { GridContext } from './GridContext.js';
+import { responsiveClasses, responsiveVars } from './responsiveProps.js';
+
+/**
+ * GridItem - Places one child of a ResponsiveGrid (also available as ResponsiveGrid.Item)
+ *
+ * Spans, start column, order and area accept a breakpoint object, e.g. colSpan={{ base: 1, md: 2 }}.
+ * They follow the grid's responsiveTo, so inside a container-query grid they respond to the container.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Item content
+ * @param {string} props.as - HTML element to render (default: 'div')
+ * @param {number|'full'|Object} props.colSpan - Columns to span (1-12), 'full' for the whole row
+ * @param {number|'full'|Object} props.rowSpan - Rows to span (1-6), 'full' for every explicit row
+ * @param {number|'auto'|Object} props.colStart - Column line the item starts at (1-12)
+ * @param {number|'first'|'last'|'none'|Object} props.order - Visual order (0-12, 'first' or 'last')
+ * @param {string|Object} props.area - Name of a grid-template-area set with the grid's `areas` prop
+ * @param {'start'|'center'|'end'|'stretch'} props.alignSelf - Vertical alignment in the cell
+ * @param {'start'|'center'|'end'|'stretch'} props.justifySelf - Horizontal alignment in the cell
+ * @param {*} props.value - Identifies the item in a navigable grid's selection (not rendered)
+ * @param {string} props.className - Additional CSS classes
+ *
+ * @example
+ * <ResponsiveGrid cols={{ base: 1, md: 3 }}>
+ *   <GridItem colSpan={{ base: 1, md: 2 }} rowSpan={2} justifySelf="stretch">Featured</GridItem>
+ *   <GridItem>Card</GridItem>
+ *   <GridItem order={{ base: 'first', md: 'none' }}>Card</GridItem>
+ * </ResponsiveGrid>
+ */
+const GridItem = ({
+  children,
+  as: Element = 'div',
+  colSpan,
+  rowSpan,
+  colStart,
+  order,
+  area,
+  alignSelf,
+  justifySelf,
+  value,
+  className = '',
+  style,
+  ...props
+}) => {
+  const grid = useContext(GridContext);
+  const target = grid ? grid.target : undefined;
+  const areaVars = responsiveVars('responsive-grid__item', 'area', 'grid-area', area, String, target);
+
+  const itemClasses = [
+    'responsive-grid__item',
+    ...responsiveClasses('responsive-grid__item', colSpan, (value) => `col-span-${value}`, undefined, target),
+    ...responsiveClasses('responsive-grid__item', rowSpan, (value) => `row-span-${value}`, undefined, target),
+    ...responsiveClasses('responsive-grid__item', colStart, (value) => `col-start-${value}`, undefined, target),
+    ...responsiveClasses('responsive-grid__item', order, (value) => `order-${value}`, undefined, target),
+    ...areaVars.classes,
+    alignSelf && `responsive-grid__item--align-${alignSelf}`,
+    justifySelf && `responsive-grid__item--justify-${justifySelf}`,
+    className
+  ].filter(Boolean).join(' ');
+
+  const itemStyle = { ...areaVars.style, ...style };
+
+  return (
+    <Element
+      className={itemClasses}
+      style={Object.keys(itemStyle).length ? itemStyle : undefined}
+      {...props}
+    >
+      {children}
+    </Element>
+  );
+};
+
+export default GridItem;
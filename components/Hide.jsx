@@ -0,0 +1,25 @@
+import React from 'react';
+import { getBreakpointQuery } from './breakpoints.js';
+import { useMediaQuery } from './mediaQuery.js';
+
+/**
+ * Hide - The opposite of Show: doesn't render its children while the viewport is in a breakpoint range
+ *
+ * On the server the children are rendered (media queries can't match there) unless `ssr` says otherwise.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Content to render outside the range
+ * @param {'sm'|'md'|'lg'|'xl'|'2xl'|string} props.above - Hide from this breakpoint up
+ * @param {'sm'|'md'|'lg'|'xl'|'2xl'|string} props.below - Hide when narrower than this breakpoint
+ * @param {string} props.query - Any other media query (instead of above/below)
+ * @param {boolean} props.ssr - Whether to render the children on the server (default: true)
+ *
+ * @example
+ * <Hide below="lg"><KeyboardShortcuts /></Hide>
+ */
+const Hide = ({ children, above, below, query, ssr = true }) => {
+  const matches = useMediaQuery(query || getBreakpointQuery({ above, below }), { defaultValue: !ssr });
+  return <>{matches ? null : children}</>;
+};
+
+export default Hide;
@@ -1,4 +1,11 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useContext, useRef, forwardRef, useImperativeHandle } from 'react';
+import { ThemeContext } from './ThemeContext.js';
+import { ButtonGroupContext } from './ButtonGroupContext.js';
+import { useButtonFeedback } from './buttonFeedback.js';
+import { getActionType, renderActionIcon } from './actionTypes.js';
+import { responsiveClasses, getBaseValue } from './responsiveProps.js';
+import { isDevelopment } from './selection.js';
+
 
 /**
  * ResponsiveContainer - A flexible container component that adapts to different screen sizes
@@ -179,30 +186,35 @@ import React, { useState, useEffect } from 'react';
  *   <p>This content is centered and takes up 75% width.</p>
  * </ResponsiveContainer>
  */
-const ResponsiveButton = ({
+const ResponsiveButton = forwardRef(({
   children,
+  as,
+  href,
   className = '',
-  variant = 'primary',
-  size = 'md',
-  shape = 'rounded',
+  variant: variantProp,
+  size: sizeProp,
+  shape: shapeProp,
   width = 'auto',
   justify = 'start',
-  disabled = false,
+  disabled: disabledProp = false,
   loading = false,
   leftIcon,
   rightIcon,
+  iconOnly = false,
+  ariaLabel,
   type = 'button',
   onClick,
   shadow = false,
   uppercase = false,
   align = 'center',
-  darkMode = false,
+  darkMode,
   loadingText,
   actionType = 'default',
   successMessage,
   errorMessage,
   feedbackDuration = 3000,
   onActionComplete,
+  asyncFeedback = true,
   showSuccess = false,
   showError = false,
   position = 'static',
@@ -220,103 +232,139 @@ const ResponsiveButton = ({
   marginX,
   marginY,
   ...props
-}) => {
-  const [currentVariant, setCurrentVariant] = useState(variant);
-  const [currentContent, setCurrentContent] = useState(children);
-  const [isShowingFeedback, setIsShowingFeedback] = useState(false);
-
-  // Reset states when variant prop changes
+}, ref) => {
+  const theme = useContext(ThemeContext);
+  // An explicit darkMode prop wins over the ThemeProvider
+  const isDarkMode = darkMode !== undefined ? darkMode : Boolean(theme && theme.isDarkMode);
+
+  // Inside a ButtonGroup, props the button doesn't set come from the group
+  const group = useContext(ButtonGroupContext);
+  const action = getActionType(actionType);
+  // The button's own props win, then its action type, then the group
+  const variant = variantProp !== undefined
+    ? variantProp
+    : (action && action.variant) || (group && group.variant) || 'primary';
+  const size = sizeProp !== undefined ? sizeProp : (group && group.size) || 'md';
+  const shape = shapeProp !== undefined ? shapeProp : (group && group.shape) || 'rounded';
+  const disabled = disabledProp || Boolean(group && group.disabled);
+
+  const buttonRef = useRef(null);
+  const { feedback, show: showFeedback, cancel: cancelFeedback } = useButtonFeedback({
+    duration: feedbackDuration,
+    onComplete: onActionComplete
+  });
+  const isShowingFeedback = feedback !== null;
+  // Set while a promise returned by onClick is pending
+  const [isPending, setIsPending] = useState(false);
+  const pendingRef = useRef(false);
+  const abortControllerRef = useRef(null);
+  const isMountedRef = useRef(false);
+  const isLoading = loading || isPending;
+
+  // Abort a pending onClick when the button goes away, and ignore its result
   useEffect(() => {
-    if (!isShowingFeedback) {
-      setCurrentVariant(variant);
-      setCurrentContent(children);
-    }
-  }, [variant, children, isShowingFeedback]);
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+      if (abortControllerRef.current) abortControllerRef.current.abort();
+    };
+  }, []);
+
+  // Handle success state
+  const handleSuccess = (message) => {
+    if (disabled) return;
+    showFeedback('success', message);
+  };
 
-  // Handle success state trigger
+  // Handle error state
+  const handleError = (message) => {
+    if (disabled) return;
+    showFeedback('error', message);
+  };
+
+  // Handle success state trigger, turning it on again restarts the feedback
   useEffect(() => {
-    if (showSuccess && !disabled && !isShowingFeedback) {
-      handleSuccess();
-    }
+    if (showSuccess) handleSuccess();
   }, [showSuccess]);
 
   // Handle error state trigger
   useEffect(() => {
-    if (showError && !disabled && !isShowingFeedback) {
-      handleError();
-    }
+    if (showError) handleError();
   }, [showError]);
 
-  // Handle success state
-  const handleSuccess = () => {
-    if (disabled) return;
-    
-    setIsShowingFeedback(true);
-    setCurrentVariant('success');
-    if (successMessage) {
-      setCurrentContent(successMessage);
+  useImperativeHandle(ref, () => ({
+    flashSuccess: handleSuccess,
+    flashError: handleError,
+    reset: cancelFeedback,
+    focus: (options) => buttonRef.current && buttonRef.current.focus(options)
+  }));
+
+  // Feedback is derived on every render, so it never shows outdated children or variant
+  const currentVariant = feedback ? (feedback.type === 'success' ? 'success' : 'danger') : variant;
+  const feedbackMessage = feedback && (feedback.message !== undefined
+    ? feedback.message
+    : (feedback.type === 'success'
+      ? (successMessage !== undefined ? successMessage : action && action.successMessage)
+      : (errorMessage !== undefined ? errorMessage : action && action.errorMessage)));
+  const currentContent = feedbackMessage || children;
+
+  // Icon-only buttons need an accessible name, the action type's label is the fallback
+  const accessibleLabel = props['aria-label'] !== undefined
+    ? props['aria-label']
+    : (ariaLabel !== undefined ? ariaLabel : (iconOnly && action && !props['aria-labelledby'] ? action.label : undefined));
+  const isMissingLabel = iconOnly && !accessibleLabel && !props['aria-labelledby'] && !props.title;
+
+  useEffect(() => {
+    if (isDevelopment && isMissingLabel) {
+      console.error('ResponsiveButton: icon-only buttons need an `aria-label` (or `aria-labelledby`) so screen readers can announce them.');
     }
+  }, [isMissingLabel]);
 
-    setTimeout(() => {
-      setCurrentVariant(variant);
-      setCurrentContent(children);
-      setIsShowingFeedback(false);
-      if (onActionComplete) {
-        onActionComplete('success');
-      }
-    }, feedbackDuration);
-  };
+  // Turns a settled onClick promise into the success/error feedback
+  const settleAsyncClick = (outcome) => {
+    pendingRef.current = false;
+    abortControllerRef.current = null;
+    if (!isMountedRef.current) return;
 
-  // Handle error state
-  const handleError = () => {
-    if (disabled) return;
-    
-    setIsShowingFeedback(true);
-    setCurrentVariant('danger');
-    if (errorMessage) {
-      setCurrentContent(errorMessage);
+    setIsPending(false);
+    if (!asyncFeedback) return;
+    if (outcome === 'success') {
+      handleSuccess();
+    } else {
+      handleError();
     }
-
-    setTimeout(() => {
-      setCurrentVariant(variant);
-      setCurrentContent(children);
-      setIsShowingFeedback(false);
-      if (onActionComplete) {
-        onActionComplete('error');
-      }
-    }, feedbackDuration);
   };
 
-  // Handle click events
+  // Handle click events (also the only guard for links, which have no disabled attribute)
   const handleClick = (e) => {
-    if (disabled || loading || isShowingFeedback) {
+    // pendingRef also catches a second click that lands before the re-render
+    if (disabled || isLoading || isShowingFeedback || pendingRef.current) {
       e.preventDefault();
       return;
     }
-    if (onClick) {
-      onClick(e);
+    if (!onClick) return;
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const result = onClick(e, { signal: controller ? controller.signal : undefined });
+
+    // A returned promise drives the loading state and the feedback
+    if (result && typeof result.then === 'function') {
+      pendingRef.current = true;
+      abortControllerRef.current = controller;
+      setIsPending(true);
+      result.then(
+        () => settleAsyncClick('success'),
+        () => settleAsyncClick('error')
+      );
     }
   };
 
   // Get action-specific icons
   const getActionIcon = () => {
-    if (loading) return null;
+    if (isLoading) return null;
     if (leftIcon) return leftIcon;
-    
-    switch (actionType) {
-      case 'send':
-        return <SendIcon />;
-      case 'upload':
-        return <UploadIcon />;
-      case 'delete':
-        return <DeleteIcon />;
-      case 'edit':
-        return <EditIcon />;
-      case 'save':
-        return <SaveIcon />;
-      default:
-        return null;
-    }
+    // An icon-only button shows whichever icon it has
+    return renderActionIcon(action) || (iconOnly ? rightIcon : null);
   };
 
   // Build positioning styles
@@ -450,57 +498,71 @@ const ResponsiveButton = ({
   const buttonClasses = [
     'button',
     `button--variant-${currentVariant}`,
-    `button--size-${size}`,
+    ...responsiveClasses('button', size, (value) => `size-${value}`, 'md'),
     `button--shape-${shape}`,
-    `button--width-${width}`,
+    ...responsiveClasses('button', width, (value) => `width-${value}`, 'auto'),
     `button--align-${align}`,
     disabled && 'button--disabled',
-    loading && 'button--loading',
+    isLoading && 'button--loading',
     shadow && 'button--shadow',
     uppercase && 'button--uppercase',
-    darkMode && `button--dark`,
+    isDarkMode && `button--dark`,
     isShowingFeedback && 'button--feedback',
+    iconOnly && 'button--icon-only',
     position !== 'static' && `button--position-${position}`,
     placement && `button--placement-${placement}`,
     className
   ].filter(Boolean).join(' ');
 
+  // Links and router components can't be disabled natively: they stay focusable,
+  // announce aria-disabled and handleClick cancels their navigation
+  const Element = as || (href !== undefined ? 'a' : 'button');
+  const isNativeButton = Element === 'button';
+  const isInactive = disabled || isLoading || isShowingFeedback;
+  const elementProps = isNativeButton
+    ? { type, disabled: isInactive }
+    : { href, 'aria-disabled': isInactive || undefined };
+
   // Render button content
   const buttonContent = (
-    <button
+    <Element
+      ref={buttonRef}
       className={buttonClasses}
-      type={type}
-      disabled={disabled || loading || isShowingFeedback}
+      {...elementProps}
+      aria-busy={isLoading || undefined}
+      aria-label={accessibleLabel}
       onClick={handleClick}
       style={getPositionStyles()}
       {...props}
     >
-      {loading && (
+      {isLoading && (
         <span className="button__spinner" aria-hidden="true">
           <span className="button__spinner-circle"></span>
         </span>
       )}
       
-      {!loading && (leftIcon || getActionIcon()) && (
+      {!isLoading && (leftIcon || getActionIcon()) && (
         <span className="button__icon button__icon--left" aria-hidden="true">
           {leftIcon || getActionIcon()}
         </span>
       )}
       
-      <span className={`button__content ${loading ? 'button__content--loading' : ''}`}>
-        {loading && loadingText ? loadingText : currentContent}
-      </span>
+      {!iconOnly && (
+        <span className={`button__content ${isLoading ? 'button__content--loading' : ''}`}>
+          {isLoading && loadingText ? loadingText : currentContent}
+        </span>
+      )}
       
-      {rightIcon && !loading && (
+      {rightIcon && !isLoading && !iconOnly && (
         <span className="button__icon button__icon--right" aria-hidden="true">
           {rightIcon}
         </span>
       )}
-    </button>
+    </Element>
   );
 
   // If width is 'container', wrap in a container div
-  if (width === 'container') {
+  if (getBaseValue(width) === 'container') {
     return (
       <div 
         className={`button-container button-container--justify-${justify}`}
@@ -513,45 +575,9 @@ const ResponsiveButton = ({
 
   // Otherwise, return the button directly
   return buttonContent;
-};
-
-// Simple icon components for demonstration
-const SendIcon = () => (
-  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-    <line x1="22" y1="2" x2="11" y2="13"></line>
-    <polygon points="22,2 15,22 11,13 2,9"></polygon>
-  </svg>
-);
-
-const UploadIcon = () => (
-  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
-    <polyline points="7,10 12,5 17,10"></polyline>
-    <line x1="12" y1="5" x2="12" y2="15"></line>
-  </svg>
-);
-
-const DeleteIcon = () => (
-  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-    <polyline points="3,6 5,6 21,6"></polyline>
-    <path d="m19,6v14a2,2 0 0,1 -2,2H7a2,2 0 0,1 -2,-2V6m3,0V4a2,2 0 0,1 2,-2h4a2,2 0 0,1 2,2v2"></path>
-  </svg>
-);
-
-const EditIcon = () => (
-  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-    <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
-    <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
-  </svg>
-);
-
-const SaveIcon = () => (
-  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-    <path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path>
-    <polyline points="17,21 17,13 7,13 7,21"></polyline>
-    <polyline points="7,3 7,8 15,8"></polyline>
-  </svg>
-);
+});
+
+ResponsiveButton.displayName = 'ResponsiveButton';
 
 export default ResponsiveButton;
 
@@ -641,6 +667,17 @@ export default ResponsiveButton;
   Process Data
 </ResponsiveButton>
 
+// Async onClick: the returned promise drives loading, success and error states
+<ResponsiveButton
+  loadingText="Saving..."
+  successMessage="Saved!"
+  errorMessage="Save failed"
+  onClick={(e, { signal }) => fetch('/api/save', { method: 'POST', signal })
+    .then((res) => { if (!res.ok) throw new Error(res.statusText); })}
+>
+  Save
+</ResponsiveButton>
+
 
 // ===== SUCCESS/ERROR FEEDBACK =====
 // Basic feedback states
@@ -673,6 +710,14 @@ export default ResponsiveButton;
   Delete Item
 </ResponsiveButton>
 
+// Imperative feedback through a ref
+const saveRef = useRef(null);
+<ResponsiveButton ref={saveRef} successMessage="Saved!" errorMessage="Save failed">
+  Save
+</ResponsiveButton>
+saveRef.current.flashSuccess();            // or flashError('Offline')
+saveRef.current.reset();                   // end the feedback early
+
 
 // ===== ICONS AND ACTION TYPES =====
 // Custom icons
@@ -691,13 +736,22 @@ export default ResponsiveButton;
   Both Icons
 </ResponsiveButton>
 
-// Predefined action types (includes built-in icons)
+// Predefined action types (lucide-react icons)
 <ResponsiveButton actionType="send">Send Message</ResponsiveButton>
 <ResponsiveButton actionType="upload">Upload File</ResponsiveButton>
 <ResponsiveButton actionType="delete" variant="danger">Delete</ResponsiveButton>
 <ResponsiveButton actionType="edit">Edit Item</ResponsiveButton>
 <ResponsiveButton actionType="save" variant="success">Save</ResponsiveButton>
 
+// Custom action types
+import { Archive } from 'lucide-react';
+registerActionType('archive', { icon: Archive, label: 'Archive', variant: 'secondary', successMessage: 'Archived' });
+<ResponsiveButton actionType="archive" onClick={archiveItem}>Archive</ResponsiveButton>
+
+// Icon-only buttons (the action type's label becomes the aria-label)
+<ResponsiveButton actionType="delete" iconOnly variant="ghost" />
+<ResponsiveButton leftIcon={<MenuIcon />} iconOnly aria-label="Open menu" />
+
 
 // ===== POSITIONING =====
 // Static positioning (default)
@@ -763,6 +817,17 @@ export default ResponsiveButton;
 </ResponsiveButton>
 
 
+// ===== LINKS AND ROUTER COMPONENTS =====
+// href renders an <a> with the same styling
+<ResponsiveButton href="/pricing" variant="outline">See pricing</ResponsiveButton>
+
+// Any component, e.g. a router Link (extra props such as `to` are passed through)
+<ResponsiveButton as={Link} to="/settings" actionType="edit">Settings</ResponsiveButton>
+
+// Disabled links get aria-disabled and their clicks are cancelled
+<ResponsiveButton href="/checkout" disabled={!canCheckout}>Checkout</ResponsiveButton>
+
+
 // ===== FORM INTEGRATION =====
 // Form submission button
 <form onSubmit={handleFormSubmit}>
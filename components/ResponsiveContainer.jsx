@@ -1,6 +1,29 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useContext, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { ThemeContext } from './ThemeContext.js';
+import { getFocusableElements, focusElement, hideOutside } from './modalFocus.js';
+import { registerModal, isTopModal, lockBodyScroll } from './modalStack.js';
+import { useModalTransition, resolveModalDuration } from './modalTransition.js';
+import { useDrawerSwipe } from './drawerSwipe.js';
+import { responsiveClasses, hasResponsiveValue } from './responsiveProps.js';
+import { useResponsiveTarget, QUERY_CONTAINER_CLASS } from './containerQuery.js';
 import '../style.css'
 
+// Preset drawer sizes, any other drawerSize value is used as a CSS length
+const DRAWER_SIZES = {
+  sm: '16rem',
+  md: '20rem',
+  lg: '28rem',
+  xl: '36rem',
+  full: '100%'
+};
+
+// Where portal modals render: a custom element, the element returned by a function, or <body>
+const resolvePortalContainer = (container) => {
+  const resolved = typeof container === 'function' ? container() : container;
+  return resolved || document.body;
+};
+
 /**
  * ResponsiveContainer - A fully customizable container component that adapts to different screen sizes
  * Uses custom CSS classes instead of Tailwind CSS
@@ -13,18 +36,20 @@ import '../style.css'
  * @param {'start'|'center'|'end'} props.align - Horizontal alignment
  * @param {boolean} props.padding - Whether to add responsive padding
  * @param {boolean} props.margin - Whether to add responsive margin
- * @param {'0'|'1'|'2'|'4'|'6'|'8'|'12'|'16'} props.paddingX - Custom horizontal padding
- * @param {'0'|'1'|'2'|'4'|'6'|'8'|'12'|'16'} props.paddingY - Custom vertical padding
+ * @param {'0'|'1'|'2'|'4'|'6'|'8'|'12'|'16'|Object} props.paddingX - Custom horizontal padding (or a breakpoint object)
+ * @param {'0'|'1'|'2'|'4'|'6'|'8'|'12'|'16'|Object} props.paddingY - Custom vertical padding (or a breakpoint object)
  * @param {'0'|'1'|'2'|'4'|'6'|'8'|'12'|'16'} props.marginX - Custom horizontal margin
  * @param {'0'|'1'|'2'|'4'|'6'|'8'|'12'|'16'} props.marginY - Custom vertical margin
- * @param {'stack'|'grid'|'flex'} props.layout - Layout type for children
- * @param {'1'|'2'|'4'|'6'|'8'} props.gap - Gap between child elements (only applies to flex and grid layouts)
+ * @param {'stack'|'grid'|'flex'|Object} props.layout - Layout type for children (or a breakpoint object such as { base: 'stack', md: 'flex' })
+ * @param {'1'|'2'|'4'|'6'|'8'|Object} props.gap - Gap between child elements (only applies to flex and grid layouts)
  * @param {'left'|'center'|'right'|'justify'} props.textAlign - Text alignment for child elements
- * @param {'start'|'center'|'end'|'stretch'|'baseline'} props.alignItems - Flex align-items property (for flex layout)
- * @param {'start'|'center'|'end'|'between'|'around'|'evenly'} props.justifyContent - Flex justify-content property (for flex layout)
- * @param {'row'|'column'|'row-reverse'|'column-reverse'} props.flexDirection - Flex direction (for flex layout)
- * @param {'nowrap'|'wrap'|'wrap-reverse'} props.flexWrap - Flex wrap property (for flex layout)
- * @param {boolean} props.darkBackground - Dark mode background variants
+ * @param {'start'|'center'|'end'|'stretch'|'baseline'|Object} props.alignItems - Flex align-items property (for flex layout)
+ * @param {'start'|'center'|'end'|'between'|'around'|'evenly'|Object} props.justifyContent - Flex justify-content property (for flex layout)
+ * @param {'row'|'column'|'row-reverse'|'column-reverse'|Object} props.flexDirection - Flex direction (for flex layout)
+ * @param {'nowrap'|'wrap'|'wrap-reverse'|Object} props.flexWrap - Flex wrap property (for flex layout)
+ * @param {'viewport'|'container'} props.responsiveTo - Whether breakpoint objects follow the viewport or the nearest query container (default: 'viewport')
+ * @param {boolean} props.queryContainer - Make this container a query container for responsiveTo="container" children (default: false, modals and drawers always are)
+ * @param {boolean} props.darkBackground - Dark mode background variants (defaults to the ThemeProvider's dark mode)
  * @param {boolean} props.modal - Whether to render as a modal
  * @param {boolean} props.modalOpen - Whether the modal is open (required if modal=true)
  * @param {Function} props.onModalClose - Callback when modal should close (required if modal=true)
@@ -33,6 +58,22 @@ import '../style.css'
  * @param {'sm'|'md'|'lg'|'xl'|'full'} props.modalSize - Modal size variant
  * @param {'center'|'top'|'bottom'} props.modalPosition - Modal position on screen
  * @param {boolean} props.modalBlurBackdrop - Whether to blur the backdrop
+ * @param {'dialog'|'alertdialog'} props.modalRole - ARIA role of the modal (default: 'dialog')
+ * @param {string} props.modalTitleId - id of the element that labels the modal (sets aria-labelledby)
+ * @param {string} props.modalDescriptionId - id of the element that describes the modal (sets aria-describedby)
+ * @param {React.RefObject} props.initialFocusRef - Element to focus when the modal opens (default: first focusable element)
+ * @param {boolean|React.RefObject} props.returnFocus - Restore focus to the trigger on close, or to the given element (default: true)
+ * @param {boolean} props.modalPortal - Render the modal in a portal instead of in place (default: true)
+ * @param {HTMLElement|Function} props.modalContainer - Portal target, or a function returning it (default: document.body)
+ * @param {'fade'|'scale'|'slide'|'none'} props.modalAnimation - Enter/exit animation, slide follows modalPosition (default: 'fade')
+ * @param {number|{enter: number, exit: number}} props.modalDuration - Animation duration(s) in ms (default: { enter: 200, exit: 150 })
+ * @param {Function} props.onAfterOpen - Called once the modal has finished animating in
+ * @param {Function} props.onAfterClose - Called once the modal has finished animating out and unmounted
+ * @param {boolean} props.drawer - Render as a drawer sliding in from a screen edge (uses the modal props for open/close)
+ * @param {'left'|'right'|'top'|'bottom'} props.drawerPlacement - Edge the drawer is attached to (default: 'right')
+ * @param {'sm'|'md'|'lg'|'xl'|'full'|string} props.drawerSize - Drawer width (left/right) or height (top/bottom), a preset or any CSS length
+ * @param {boolean} props.drawerPush - Push the page content aside instead of covering it
+ * @param {boolean} props.drawerSwipeToClose - Close the drawer by swiping it towards its edge on touch devices (default: true)
  * @param {'none'|'sm'|'md'|'lg'|'xl'|'full'} props.radius - Border radius variant
  * 
  * // NEW STYLING PROPS
@@ -80,9 +121,11 @@ const ResponsiveContainer = ({
   justifyContent,
   flexDirection = 'column',
   flexWrap = 'nowrap',
-  darkBackground = false,
+  responsiveTo = 'viewport',
+  queryContainer = false,
+  darkBackground,
   // Modal props
-  modal = false,
+  modal: modalProp = false,
   modalOpen = false,
   onModalClose,
   modalCloseOnBackdrop = true,
@@ -90,6 +133,24 @@ const ResponsiveContainer = ({
   modalSize = 'md',
   modalPosition = 'center',
   modalBlurBackdrop = false,
+  modalRole = 'dialog',
+  modalTitleId,
+  modalDescriptionId,
+  initialFocusRef,
+  returnFocus = true,
+  modalPortal = true,
+  modalContainer,
+  modalAnimation = 'fade',
+  modalDuration,
+  onAfterOpen,
+  onAfterClose,
+  // Drawer props
+  drawer = false,
+  drawerPlacement = 'right',
+  drawerSize = 'md',
+  drawerPush = false,
+  drawerSwipeToClose = true,
+  onKeyDown,
   // NEW STYLING PROPS
   shadow,
   background,
@@ -115,37 +176,169 @@ const ResponsiveContainer = ({
   hoverBackground,
   ...props
 }) => {
-  // Handle escape key press for modal
+  const theme = useContext(ThemeContext);
+  // An explicit darkBackground prop wins over the ThemeProvider
+  const useDarkBackground = darkBackground !== undefined ? darkBackground : Boolean(theme && theme.isDarkMode);
+  // A drawer is a modal attached to a screen edge, it shares the backdrop, Escape, focus and scroll handling
+  const modal = modalProp || drawer;
+  const drawerSizeValue = DRAWER_SIZES[drawerSize] || drawerSize;
+  const dialogRef = useRef(null);
+  const backdropRef = useRef(null);
+  // This modal's entry in the shared modal stack, set while it's open
+  const stackEntryRef = useRef(null);
+  const [portalTarget, setPortalTarget] = useState(null);
+
+  // Latest close props, read by the Escape handler registered in the modal stack
+  const closePropsRef = useRef({ onModalClose, modalCloseOnEscape });
+  closePropsRef.current = { onModalClose, modalCloseOnEscape };
+
+  // Resolve the portal target after mounting so server and client render the same markup
   useEffect(() => {
-    if (modal && modalOpen && modalCloseOnEscape && onModalClose) {
-      const handleEscape = (e) => {
-        if (e.key === 'Escape') {
-          onModalClose();
-        }
-      };
-      
-      document.addEventListener('keydown', handleEscape);
-      return () => document.removeEventListener('keydown', handleEscape);
-    }
-  }, [modal, modalOpen, modalCloseOnEscape, onModalClose]);
+    setPortalTarget(modal && modalPortal ? resolvePortalContainer(modalContainer) : null);
+  }, [modal, modalPortal, modalContainer]);
+
+  // Stays mounted while the exit animation plays; disabled under prefers-reduced-motion
+  const duration = resolveModalDuration(modalDuration);
+  const transitionStatus = useModalTransition(modal && modalOpen, {
+    animate: modalAnimation !== 'none',
+    duration,
+    onAfterOpen,
+    onAfterClose
+  });
+  const isModalVisible = modal && transitionStatus !== 'exited';
 
-  // Handle body scroll lock for modal
+  // Register in the modal stack so only the top modal handles Escape
   useEffect(() => {
-    if (modal && modalOpen) {
-      document.body.style.overflow = 'hidden';
-      return () => {
-        document.body.style.overflow = 'unset';
-      };
-    }
+    if (!modal || !modalOpen) return undefined;
+
+    const entry = {
+      onEscape: () => {
+        const { onModalClose: close, modalCloseOnEscape: closeOnEscape } = closePropsRef.current;
+        if (closeOnEscape && close) close();
+      }
+    };
+    stackEntryRef.current = entry;
+
+    const unregister = registerModal(entry);
+
+    return () => {
+      unregister();
+      stackEntryRef.current = null;
+    };
   }, [modal, modalOpen]);
 
+  // Keep the page locked until the exit animation has finished
+  useEffect(() => {
+    if (!isModalVisible) return undefined;
+    return lockBodyScroll();
+  }, [isModalVisible]);
+
+  // Push mode: slide the rest of the page along with the drawer
+  useEffect(() => {
+    if (!drawer || !drawerPush || !isModalVisible) return undefined;
+
+    const { body } = document;
+    body.classList.add('rnp-drawer-push');
+    body.style.setProperty('--rnp-drawer-size', drawerSizeValue);
+    body.style.setProperty('--rnp-drawer-push-duration', `${duration.enter}ms`);
+
+    return () => {
+      body.classList.remove('rnp-drawer-push');
+      body.style.removeProperty('--rnp-drawer-size');
+      body.style.removeProperty('--rnp-drawer-push-duration');
+    };
+  }, [drawer, drawerPush, isModalVisible, drawerSizeValue, duration.enter]);
+
+  // The offset is removed as soon as closing starts, so the page slides back during the exit animation
+  useEffect(() => {
+    if (!drawer || !drawerPush || !modalOpen) return undefined;
+
+    const pushClass = `rnp-drawer-push--${drawerPlacement}`;
+    document.body.classList.add(pushClass);
+    return () => document.body.classList.remove(pushClass);
+  }, [drawer, drawerPush, modalOpen, drawerPlacement]);
+
+  useDrawerSwipe(dialogRef, {
+    enabled: drawer && drawerSwipeToClose && modalOpen && (!modalPortal || Boolean(portalTarget)),
+    placement: drawerPlacement,
+    onClose: onModalClose
+  });
+
+  // Move focus into the modal, keep it there and hide the rest of the page while open
+  useEffect(() => {
+    if (!modal || !modalOpen || !dialogRef.current) return undefined;
+
+    const dialog = dialogRef.current;
+    const previouslyFocused = document.activeElement;
+    const restoreOutside = hideOutside(backdropRef.current);
+
+    const focusFirst = () => focusElement(getFocusableElements(dialog)[0]) || focusElement(dialog);
+    if (!(initialFocusRef && focusElement(initialFocusRef.current))) {
+      focusFirst();
+    }
+
+    // Catches focus that escapes without a Tab press (e.g. programmatic focus())
+    const handleFocusIn = (e) => {
+      if (isTopModal(stackEntryRef.current) && !dialog.contains(e.target)) focusFirst();
+    };
+    document.addEventListener('focusin', handleFocusIn);
+
+    return () => {
+      document.removeEventListener('focusin', handleFocusIn);
+      restoreOutside();
+
+      if (returnFocus) {
+        const target = returnFocus === true ? previouslyFocused : returnFocus.current;
+        if (target && document.contains(target)) focusElement(target);
+      }
+    };
+  }, [modal, modalOpen, portalTarget, initialFocusRef, returnFocus]);
+
+  // Wrap Tab / Shift+Tab around the first and last focusable elements
+  const handleDialogKeyDown = (e) => {
+    if (onKeyDown) onKeyDown(e);
+    if (e.key !== 'Tab' || e.defaultPrevented || !isTopModal(stackEntryRef.current)) return;
+
+    const dialog = dialogRef.current;
+    const focusable = getFocusableElements(dialog);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    if (e.shiftKey && (active === first || active === dialog)) {
+      e.preventDefault();
+      focusElement(last);
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      focusElement(first);
+    }
+  };
+
   // Handle backdrop click
   const handleBackdropClick = (e) => {
-    if (modalCloseOnBackdrop && onModalClose && e.target === e.currentTarget) {
+    if (
+      modalCloseOnBackdrop &&
+      onModalClose &&
+      e.target === e.currentTarget &&
+      isTopModal(stackEntryRef.current)
+    ) {
       onModalClose();
     }
   };
 
+  // Breakpoint objects follow the viewport, or the nearest query container with responsiveTo="container"
+  const containerRef = useRef(null);
+  const target = useResponsiveTarget(modal ? dialogRef : containerRef, responsiveTo);
+
+  // Flex and gap classes are needed as soon as one breakpoint uses that layout
+  const isFlex = hasResponsiveValue(layout, 'flex');
+  const isFlexOrGrid = isFlex || hasResponsiveValue(layout, 'grid');
+
   // Combine all classes for the container
   const containerClasses = [
     'responsive-container', // Base class
@@ -154,27 +347,27 @@ const ResponsiveContainer = ({
     !modal && `responsive-container--align-${align}`, // Alignment (not for modal)
     
     // Spacing
-    paddingX && `responsive-container--padding-x-${paddingX}`,
-    paddingY && `responsive-container--padding-y-${paddingY}`,
+    ...responsiveClasses('responsive-container', paddingX, (value) => `padding-x-${value}`, undefined, target),
+    ...responsiveClasses('responsive-container', paddingY, (value) => `padding-y-${value}`, undefined, target),
     marginX && `responsive-container--margin-x-${marginX}`,
     marginY && `responsive-container--margin-y-${marginY}`,
     (!paddingX && !paddingY && padding) && 'responsive-container--padding',
     (!marginX && !marginY && margin && !modal) && 'responsive-container--margin',
     
-    // Layout
-    `responsive-container--${layout}`,
-    (layout === 'flex' || layout === 'grid') && `responsive-container--gap-${gap}`,
+    // Layout (each of these may be a breakpoint object, e.g. { base: 'column', md: 'row' })
+    ...responsiveClasses('responsive-container', layout, String, 'stack', target),
+    ...(isFlexOrGrid ? responsiveClasses('responsive-container', gap, (value) => `gap-${value}`, '4', target) : []),
     textAlign && `responsive-container--text-${textAlign}`,
-    layout === 'flex' && alignItems && `responsive-container--align-items-${alignItems}`,
-    layout === 'flex' && justifyContent && `responsive-container--justify-${justifyContent}`,
-    layout === 'flex' && flexDirection && `responsive-container--flex-${flexDirection}`,
-    layout === 'flex' && flexWrap && `responsive-container--flex-wrap-${flexWrap}`,
+    ...(isFlex ? responsiveClasses('responsive-container', alignItems, (value) => `align-items-${value}`, undefined, target) : []),
+    ...(isFlex ? responsiveClasses('responsive-container', justifyContent, (value) => `justify-${value}`, undefined, target) : []),
+    ...(isFlex ? responsiveClasses('responsive-container', flexDirection, (value) => `flex-${value}`, 'column', target) : []),
+    ...(isFlex ? responsiveClasses('responsive-container', flexWrap, (value) => `flex-wrap-${value}`, 'nowrap', target) : []),
     
     // Appearance
     radius && `responsive-container--radius-${radius}`,
     shadow && `responsive-container--shadow-${shadow}`,
     background && `responsive-container--bg-${background}`,
-    darkBackground && 'responsive-container--dark-bg',
+    useDarkBackground && 'responsive-container--dark-bg',
     
     // Border
     border && `responsive-container--border-${border}`,
@@ -204,10 +397,20 @@ const ResponsiveContainer = ({
     hoverShadow && `responsive-container--hover-shadow-${hoverShadow}`,
     hoverBackground && `responsive-container--hover-bg-${hoverBackground}`,
     
+    // Query container for responsiveTo="container" descendants (modals and drawers always are)
+    (queryContainer || modal) && QUERY_CONTAINER_CLASS,
+    
     // Modal specific classes
     modal && 'responsive-container--modal',
-    modal && `responsive-container--modal-${modalSize}`,
-    modal && `responsive-container--modal-${modalPosition}`,
+    modal && !drawer && `responsive-container--modal-${modalSize}`,
+    modal && !drawer && `responsive-container--modal-${modalPosition}`,
+    modal && !drawer && modalAnimation !== 'none' && `responsive-container--modal-${modalAnimation}`,
+    modal && `responsive-container--modal-${transitionStatus}`,
+    
+    // Drawer specific classes (drawers always slide, unless modalAnimation is 'none')
+    drawer && 'responsive-container--drawer',
+    drawer && `responsive-container--drawer-${drawerPlacement}`,
+    drawer && modalAnimation !== 'none' && 'responsive-container--drawer-animated',
     
     className // Additional custom classes
   ].filter(Boolean).join(' ');
@@ -222,31 +425,53 @@ const ResponsiveContainer = ({
   // Combine backdrop classes
   const backdropClasses = [
     'responsive-container__modal-backdrop',
-    modalBlurBackdrop && 'responsive-container__modal-backdrop--blur'
+    modalBlurBackdrop && 'responsive-container__modal-backdrop--blur',
+    drawer && 'responsive-container__modal-backdrop--drawer',
+    modalAnimation !== 'none' && 'responsive-container__modal-backdrop--animated',
+    `responsive-container__modal-backdrop--${transitionStatus}`
   ].filter(Boolean).join(' ');
 
+  // Durations reach the keyframes in style.css through custom properties
+  const backdropStyles = {
+    '--rnp-modal-enter-duration': `${duration.enter}ms`,
+    '--rnp-modal-exit-duration': `${duration.exit}ms`
+  };
+  if (drawer) backdropStyles['--rnp-drawer-size'] = drawerSizeValue;
+
   // If it's a modal, render with backdrop
   if (modal) {
-    if (!modalOpen) return null;
+    if (!isModalVisible) return null;
     
-    return (
-      <div className={backdropClasses} onClick={handleBackdropClick}>
+    const modalContent = (
+      <div ref={backdropRef} className={backdropClasses} style={backdropStyles} onClick={handleBackdropClick}>
         <div 
+          ref={dialogRef}
           className={containerClasses} 
           style={inlineStyles}
+          role={modalRole}
+          aria-modal="true"
+          aria-labelledby={modalTitleId}
+          aria-describedby={modalDescriptionId}
+          tabIndex={-1}
+          onKeyDown={handleDialogKeyDown}
           {...props}
         >
           {children}
         </div>
       </div>
     );
+
+    if (!modalPortal) return modalContent;
+    return portalTarget ? createPortal(modalContent, portalTarget) : null;
   }
 
   // Regular container
   return (
     <div 
+      ref={containerRef}
       className={containerClasses} 
       style={inlineStyles}
+      onKeyDown={onKeyDown}
       {...props}
     >
       {children}
@@ -1,5 +1,41 @@
-import React from 'react';
+import React, { useMemo, useRef, useState } from 'react';
+import { responsiveClasses, responsiveVars, mergeResponsiveValue, resolveResponsiveValue } from './responsiveProps.js';
+import { useResponsiveTarget } from './containerQuery.js';
+import { getCurrentBreakpoint } from './mediaQuery.js';
+import { GRID_ITEM_ATTRIBUTE, getKeyboardTarget, getPageRows, isFromItemControl } from './gridNavigation.js';
+import { composeHandlers, getTabStop, useSelection } from './selection.js';
+import { GridContext } from './GridContext.js';
+import { useMasonryFallback } from './masonry.js';
+import GridItem from './GridItem.jsx';
 import '../style.css'
+
+// Numbers are px, strings any CSS length
+const toCssLength = (value) => (typeof value === 'number' ? `${value}px` : value);
+
+// A number of rows becomes equal auto rows, anything else is used as grid-template-rows
+const formatRows = (rows) => (typeof rows === 'number' ? `repeat(${rows}, auto)` : rows);
+
+// ['header header', 'sidebar main'] -> '"header header" "sidebar main"'
+const formatAreas = (areas) => (
+  Array.isArray(areas) ? areas.map((row) => `"${row}"`).join(' ') : areas
+);
+
+// Items of a navigable grid: fragments are unwrapped so each of their children becomes an item, and
+// text is wrapped in a GridItem so it can be focused like any other item. Keys of a fragment's
+// children are prefixed with the fragment's to stay unique.
+const flattenItems = (children, prefix = '') => React.Children.toArray(children).reduce((items, child, index) => {
+  if (!React.isValidElement(child)) {
+    return [...items, <GridItem key={`${prefix}.text-${index}`}>{child}</GridItem>];
+  }
+
+  const key = `${prefix}${child.key}`;
+  if (child.type === React.Fragment) return [...items, ...flattenItems(child.props.children, `${key}/`)];
+  return [...items, prefix ? React.cloneElement(child, { key }) : child];
+}, []);
+
+// Items of a navigable grid are identified by their `value` prop, or their position without one
+const getItemValue = (item, index) => (item.props.value !== undefined ? item.props.value : index);
+
 /**
  * ResponsiveGrid - A flexible grid component that adapts columns based on screen size
  * Uses custom CSS classes instead of Tailwind CSS
@@ -7,16 +43,29 @@ import '../style.css'
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child elements to render
  * @param {string} props.className - Additional CSS classes
- * @param {number} props.cols - Default number of columns (1-12)
+ * @param {number|Object} props.cols - Default number of columns (1-12), or a breakpoint object such as { base: 1, md: 3 }
  * @param {number} props.smCols - Columns on small screens (640px+)
  * @param {number} props.mdCols - Columns on medium screens (768px+)
  * @param {number} props.lgCols - Columns on large screens (1024px+)
  * @param {number} props.xlCols - Columns on extra large screens (1280px+)
- * @param {'1'|'2'|'4'|'6'|'8'|'10'|'12'} props.gap - Gap between grid items
+ * @param {'1'|'2'|'4'|'6'|'8'|'10'|'12'|Object} props.gap - Gap between grid items (or a breakpoint object)
+ * @param {'grid'|'masonry'} props.layout - 'masonry' packs variable-height items into the columns without row gaps (default: 'grid')
  * @param {'start'|'center'|'end'|'stretch'} props.alignItems - Vertical alignment
- * @param {'start'|'center'|'end'|'between'} props.justifyItems - Horizontal alignment
+ * @param {'start'|'center'|'end'|'between'} props.justifyItems - Horizontal alignment (default: 'start', 'between' for masonry so items fill their column)
  * @param {boolean} props.autoFit - Whether to use auto-fit instead of fixed columns
  * @param {'sm'|'md'|'lg'} props.autoFitSize - Size variant for auto-fit (sm=200px, md=250px, lg=300px)
+ * @param {number|string} props.minItemWidth - Minimum column width for auto-fit, any CSS length (numbers are px); turns auto-fit on
+ * @param {number|string} props.maxItemWidth - Maximum column width for auto-fit (default: columns share the free space)
+ * @param {boolean} props.autoFill - Keep empty tracks instead of stretching the items of a short row (turns auto-fit on)
+ * @param {number|string|Object} props.rows - Row template: a number of rows or a grid-template-rows value such as 'auto 1fr auto' (or a breakpoint object)
+ * @param {string|string[]|Object} props.areas - Named areas: one string per row, e.g. ['header header', 'sidebar main'] (or a breakpoint object)
+ * @param {boolean} props.dense - Backfill gaps left by spanning items (grid-auto-flow: dense)
+ * @param {'viewport'|'container'} props.responsiveTo - Whether the grid's and its items' breakpoints follow the viewport or the nearest query container (default: 'viewport')
+ * @param {boolean} props.navigable - Make the children a listbox with one tab stop and arrow-key focus by the grid's current columns
+ * @param {'none'|'single'|'multiple'} props.selectionMode - Whether items of a navigable grid can be selected with click or Space (default: 'none')
+ * @param {*} props.selection - Selected item value (single) or array of values (multiple), for controlled selection
+ * @param {*} props.defaultSelection - Initially selected value(s) of uncontrolled selection
+ * @param {Function} props.onSelectionChange - Receives the new selection (a value or an array) and the event
  */
 const ResponsiveGrid = ({
   children,
@@ -27,42 +76,168 @@ const ResponsiveGrid = ({
   lgCols,
   xlCols,
   gap = '4',
+  layout = 'grid',
   alignItems = 'start',
-  justifyItems = 'start',
+  justifyItems,
   autoFit = false,
   autoFitSize = 'md',
+  minItemWidth,
+  maxItemWidth,
+  autoFill = false,
+  rows,
+  areas,
+  dense = false,
+  responsiveTo = 'viewport',
+  navigable = false,
+  selectionMode = 'none',
+  selection,
+  defaultSelection,
+  onSelectionChange,
+  onKeyDown,
+  style,
   ...props
 }) => {
+  const gridRef = useRef(null);
+  const target = useResponsiveTarget(gridRef, responsiveTo);
+  const grid = useMemo(() => ({ target }), [target]);
+
+  // Native CSS masonry where supported, otherwise items span rows as tall as they are
+  const isMasonry = layout === 'masonry';
+  const isMasonryFallback = useMasonryFallback(gridRef, isMasonry);
+
+  // Any of the auto-fit props switches from explicit columns to as many columns as fit
+  const isAutoFit = autoFit || autoFill || minItemWidth !== undefined;
+  const autoFitStyle = {};
+  if (minItemWidth !== undefined) autoFitStyle['--rnp-grid-min-item-width'] = toCssLength(minItemWidth);
+  if (maxItemWidth !== undefined) autoFitStyle['--rnp-grid-max-item-width'] = toCssLength(maxItemWidth);
+
+  const columns = mergeResponsiveValue(cols, { sm: smCols, md: mdCols, lg: lgCols, xl: xlCols });
+
+  // Navigable grids: one tab stop, arrow keys, optional selection (shared with ToggleButtonGroup)
+  const isSelectable = navigable && selectionMode !== 'none';
+  const isMultiple = selectionMode === 'multiple';
+  // A listbox's single selection isn't cleared by selecting the item again
+  const { selectedValues, toggle, setSelection } = useSelection({
+    multiple: isMultiple,
+    value: selection,
+    defaultValue: defaultSelection,
+    onChange: onSelectionChange,
+    required: !isMultiple
+  });
+  // Last focused item, so the tab stop stays where the user left it
+  const [focusedValue, setFocusedValue] = useState(null);
+
+  const items = navigable ? flattenItems(children) : [];
+  const itemValues = items.map(getItemValue);
+  const tabStop = getTabStop(focusedValue, selectedValues, itemValues);
+
+  const select = (itemValue, e) => {
+    if (isSelectable) toggle(itemValue, e);
+  };
+
+  const handleKeyDown = (e) => {
+    if (onKeyDown) onKeyDown(e);
+    if (e.defaultPrevented || !navigable) return;
+
+    const grid = e.currentTarget;
+    const elements = Array.from(grid.children).filter((element) => element.hasAttribute(GRID_ITEM_ATTRIBUTE));
+    const index = elements.indexOf(e.target);
+    // Keys pressed in a control inside an item are the control's
+    if (index === -1) return;
+
+    if (isSelectable && e.key === ' ') {
+      e.preventDefault();
+      select(itemValues[index], e);
+      return;
+    }
+    if (isSelectable && isMultiple && (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a') {
+      e.preventDefault();
+      setSelection(itemValues, e);
+      return;
+    }
+    if (e.altKey) return;
+
+    // Up and down follow the rendered layout; the cols props at the current breakpoint are only
+    // used where there is no layout to measure
+    const breakpoint = target && target.breakpoint !== undefined ? target.breakpoint : getCurrentBreakpoint();
+    const next = getKeyboardTarget(e, {
+      index,
+      items: elements,
+      columns: isAutoFit ? 1 : resolveResponsiveValue(columns, breakpoint, 1),
+      pageRows: getPageRows(e.target),
+      rtl: window.getComputedStyle(grid).direction === 'rtl'
+    });
+    if (next === null) return;
+
+    e.preventDefault();
+    elements[next].focus();
+  };
+
+  // Templates are free-form, so they reach style.css through custom properties
+  const rowVars = responsiveVars('responsive-grid', 'rows', 'grid-rows', rows, formatRows, target);
+  const areaVars = responsiveVars('responsive-grid', 'areas', 'grid-areas', areas, formatAreas, target);
+
   // Combine all classes
   const gridClasses = [
     'responsive-grid', // Base class
-    // Auto-fit classes
-    autoFit && `responsive-grid--auto-fit${autoFitSize !== 'md' ? `-${autoFitSize}` : ''}`,
-    // Column classes (only if not using auto-fit)
-    !autoFit && `responsive-grid--cols-${cols}`,
-    !autoFit && smCols && `responsive-grid--sm-cols-${smCols}`,
-    !autoFit && mdCols && `responsive-grid--md-cols-${mdCols}`,
-    !autoFit && lgCols && `responsive-grid--lg-cols-${lgCols}`,
-    !autoFit && xlCols && `responsive-grid--xl-cols-${xlCols}`,
+    // Auto-fit classes, sizes come from custom properties
+    isAutoFit && 'responsive-grid--auto-fit',
+    isAutoFit && autoFitSize !== 'md' && `responsive-grid--auto-fit-${autoFitSize}`,
+    isAutoFit && autoFill && 'responsive-grid--auto-fill',
+    // Column classes (only if not using auto-fit); keys of a cols object win over smCols...xlCols
+    ...(isAutoFit ? [] : responsiveClasses('responsive-grid', columns, (value) => `cols-${value}`, 1, target)),
     // Gap class
-    `responsive-grid--gap-${gap}`,
+    ...responsiveClasses('responsive-grid', gap, (value) => `gap-${value}`, '4', target),
+    // Masonry layout
+    isMasonry && 'responsive-grid--masonry',
+    isMasonryFallback && 'responsive-grid--masonry-fallback',
+    // Row template, named areas and auto-flow
+    ...rowVars.classes,
+    ...areaVars.classes,
+    dense && 'responsive-grid--dense',
+    navigable && 'responsive-grid--navigable',
     // Alignment classes
     `responsive-grid--items-${alignItems}`,
-    `responsive-grid--justify-${justifyItems}`,
+    `responsive-grid--justify-${justifyItems || (isMasonry ? 'between' : 'start')}`,
     // Additional custom classes
     className
   ].filter(Boolean).join(' ');
 
+  const gridStyle = { ...autoFitStyle, ...rowVars.style, ...areaVars.style, ...style };
+
   return (
-    <div 
-      className={gridClasses}
-      {...props}
-    >
-      {children}
-    </div>
+    <GridContext.Provider value={grid}>
+      <div 
+        ref={gridRef}
+        className={gridClasses}
+        style={Object.keys(gridStyle).length ? gridStyle : undefined}
+        role={navigable ? 'listbox' : undefined}
+        aria-multiselectable={isSelectable && isMultiple ? true : undefined}
+        onKeyDown={navigable || onKeyDown ? handleKeyDown : undefined}
+        {...props}
+      >
+        {navigable ? items.map((item, index) => {
+          const itemValue = itemValues[index];
+
+          return React.cloneElement(item, {
+            role: 'option',
+            [GRID_ITEM_ATTRIBUTE]: '',
+            'aria-selected': isSelectable ? selectedValues.includes(itemValue) : undefined,
+            tabIndex: itemValue === tabStop ? 0 : -1,
+            // Clicks on a control inside the item are the control's, like its keys
+            onClick: composeHandlers(item.props.onClick, (e) => {
+              if (!isFromItemControl(e)) select(itemValue, e);
+            }),
+            onFocus: composeHandlers(item.props.onFocus, () => setFocusedValue(itemValue))
+          });
+        }) : children}
+      </div>
+    </GridContext.Provider>
   );
 };
 
+ResponsiveGrid.Item = GridItem;
+
 export default ResponsiveGrid;
 
 // // Basic responsive grid
@@ -79,6 +254,13 @@ export default ResponsiveGrid;
 //   <div>Item 3</div>
 // </ResponsiveGrid>
 
+// // Auto-fill grid with cards between 12rem and 20rem wide
+// <ResponsiveGrid autoFill minItemWidth="12rem" maxItemWidth="20rem" gap="4">
+//   <div>Item 1</div>
+//   <div>Item 2</div>
+//   <div>Item 3</div>
+// </ResponsiveGrid>
+
 // // Centered items with custom alignment
 // <ResponsiveGrid 
 //   cols={2} 
@@ -1,4 +1,6 @@
-import React from 'react';
+import React, { useContext } from 'react';
+import { ThemeContext } from './ThemeContext.js';
+import { responsiveClasses, mergeResponsiveValue } from './responsiveProps.js';
 import '../style.css'
 
 /**
@@ -8,18 +10,21 @@ import '../style.css'
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Text content
  * @param {'h1'|'h2'|'h3'|'h4'|'h5'|'h6'|'p'|'span'|'div'} props.as - HTML element to render
- * @param {'xs'|'sm'|'md'|'lg'|'xl'|'2xl'|'3xl'|'4xl'|'5xl'|'6xl'} props.size - Base text size
+ * @param {'xs'|'sm'|'md'|'lg'|'xl'|'2xl'|'3xl'|'4xl'|'5xl'|'6xl'|Object} props.size - Base text size, or a breakpoint object such as { base: 'xl', md: '3xl' }
  * @param {'xs'|'sm'|'md'|'lg'|'xl'|'2xl'|'3xl'|'4xl'|'5xl'|'6xl'} props.smSize - Text size on small screens
  * @param {'xs'|'sm'|'md'|'lg'|'xl'|'2xl'|'3xl'|'4xl'|'5xl'|'6xl'} props.mdSize - Text size on medium screens
  * @param {'xs'|'sm'|'md'|'lg'|'xl'|'2xl'|'3xl'|'4xl'|'5xl'|'6xl'} props.lgSize - Text size on large screens
+ * @param {'xs'|'sm'|'md'|'lg'|'xl'|'2xl'|'3xl'|'4xl'|'5xl'|'6xl'} props.xlSize - Text size on extra large screens
  * @param {'thin'|'light'|'normal'|'medium'|'semibold'|'bold'|'extrabold'|'black'} props.weight - Font weight
- * @param {'left'|'center'|'right'|'justify'} props.align - Text alignment
+ * @param {'left'|'center'|'right'|'justify'|Object} props.align - Text alignment, or a breakpoint object
  * @param {'left'|'center'|'right'|'justify'} props.smAlign - Text alignment on small screens
  * @param {'left'|'center'|'right'|'justify'} props.mdAlign - Text alignment on medium screens
  * @param {'left'|'center'|'right'|'justify'} props.lgAlign - Text alignment on large screens
+ * @param {'left'|'center'|'right'|'justify'} props.xlAlign - Text alignment on extra large screens
  * @param {'tight'|'snug'|'normal'|'relaxed'|'loose'} props.leading - Line height
  * @param {'gray-50'|'gray-100'|'gray-200'|'gray-300'|'gray-400'|'gray-500'|'gray-600'|'gray-700'|'gray-800'|'gray-900'|'white'|'black'} props.color - Text color
  * @param {'gray-50'|'gray-100'|'gray-200'|'gray-300'|'gray-400'|'gray-500'|'gray-600'|'gray-700'|'gray-800'|'gray-900'|'white'|'black'} props.darkColor - Text color for dark mode
+ * @param {boolean} props.darkMode - Whether to use darkColor (defaults to the ThemeProvider's dark mode)
  * @param {'1'|'2'|'4'|'6'|'8'|'12'|'16'} props.paddingX - Custom horizontal padding
  * @param {'1'|'2'|'4'|'6'|'8'|'12'|'16'} props.paddingY - Custom vertical padding
  * @param {'1'|'2'|'4'|'6'|'8'|'12'|'16'} props.marginX - Custom horizontal margin
@@ -33,14 +38,17 @@ const ResponsiveText = ({
   smSize,
   mdSize,
   lgSize,
+  xlSize,
   weight = 'normal',
   align = 'left',
   smAlign,
   mdAlign,
   lgAlign,
+  xlAlign,
   leading = 'normal',
   color = 'gray-900',
   darkColor,
+  darkMode,
   paddingX,
   paddingY,
   marginX,
@@ -54,21 +62,22 @@ const ResponsiveText = ({
     ...domProps
   } = restProps;
 
+  const theme = useContext(ThemeContext);
+  // An explicit darkMode prop wins over the ThemeProvider; without either, darkColor is left to the global .dark styles
+  const isDarkMode = darkMode !== undefined ? darkMode : (theme ? theme.isDarkMode : undefined);
+  const activeColor = isDarkMode && darkColor ? darkColor : color;
+
   // Combine all classes
   const textClasses = [
     'responsive-text', // Base class
-    `responsive-text--${size}`, // Base size
-    smSize && `responsive-text--sm-${smSize}`, // Small screen size
-    mdSize && `responsive-text--md-${mdSize}`, // Medium screen size
-    lgSize && `responsive-text--lg-${lgSize}`, // Large screen size
+    // Sizes per breakpoint, keys of a size object win over smSize...xlSize
+    ...responsiveClasses('responsive-text', mergeResponsiveValue(size, { sm: smSize, md: mdSize, lg: lgSize, xl: xlSize }), String, 'md'),
     `responsive-text--${weight}`, // Font weight
-    `responsive-text--${align}`, // Base alignment
-    smAlign && `responsive-text--sm-${smAlign}`, // Small screen alignment
-    mdAlign && `responsive-text--md-${mdAlign}`, // Medium screen alignment
-    lgAlign && `responsive-text--lg-${lgAlign}`, // Large screen alignment
+    // Alignment per breakpoint, keys of an align object win over smAlign...xlAlign
+    ...responsiveClasses('responsive-text', mergeResponsiveValue(align, { sm: smAlign, md: mdAlign, lg: lgAlign, xl: xlAlign }), String, 'left'),
     `responsive-text--leading-${leading}`, // Line height
-    `responsive-text--${color}`, // Text color
-    darkColor && `responsive-text--dark-${darkColor}`, // Dark mode color
+    `responsive-text--${activeColor}`, // Text color
+    isDarkMode === undefined && darkColor && `responsive-text--dark-${darkColor}`, // Dark mode color
     // Custom spacing
     paddingX && `responsive-text--padding-x-${paddingX}`,
     paddingY && `responsive-text--padding-y-${paddingY}`,
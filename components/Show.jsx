@@ -0,0 +1,28 @@
+import React from 'react';
+import { getBreakpointQuery } from './breakpoints.js';
+import { useMediaQuery } from './mediaQuery.js';
+
+/**
+ * Show - Renders its children only while the viewport is in a breakpoint range
+ *
+ * Unlike hiding with CSS, children outside the range aren't rendered at all. On the server
+ * nothing is rendered (media queries can't match there) unless `ssr` says otherwise.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Content to render inside the range
+ * @param {'sm'|'md'|'lg'|'xl'|'2xl'|string} props.above - From this breakpoint up
+ * @param {'sm'|'md'|'lg'|'xl'|'2xl'|string} props.below - Narrower than this breakpoint
+ * @param {string} props.query - Any other media query (instead of above/below)
+ * @param {React.ReactNode} props.fallback - Rendered outside the range (default: null)
+ * @param {boolean} props.ssr - Whether to render the children on the server (default: false)
+ *
+ * @example
+ * <Show above="md"><DesktopNav /></Show>
+ * <Show below="md" fallback={<Sidebar />}><BottomTabs /></Show>
+ */
+const Show = ({ children, above, below, query, fallback = null, ssr = false }) => {
+  const matches = useMediaQuery(query || getBreakpointQuery({ above, below }), { defaultValue: ssr });
+  return <>{matches ? children : fallback}</>;
+};
+
+export default Show;
@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useRef, useId, useContext } from 'react';
+import { ThemeContext } from './ThemeContext.js';
+import ButtonGroup from './ButtonGroup.jsx';
+import ResponsiveButton from './ResponsiveButton.jsx';
+
+const CaretIcon = () => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <polyline points="6,9 12,15 18,9"></polyline>
+  </svg>
+);
+
+/**
+ * SplitButton - A primary action joined to a caret that opens a menu of related actions
+ *
+ * The menu follows the menu button pattern: ArrowDown/ArrowUp on the caret open it, arrow keys,
+ * Home and End move between the items, Escape closes it and returns focus to the caret.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Label of the primary action
+ * @param {Function} props.onClick - Primary action (may return a promise, like ResponsiveButton)
+ * @param {Array<Object>} props.items - Menu items: { label, onSelect, disabled, icon }
+ * @param {string} props.menuLabel - Accessible name of the caret button (default: 'More options')
+ * @param {'bottom-start'|'bottom-end'|'top-start'|'top-end'} props.menuPlacement - Where the menu opens (default: 'bottom-end')
+ * @param {string} props.variant - Variant of both buttons (default: 'primary')
+ * @param {'xs'|'sm'|'md'|'lg'|'xl'} props.size - Size of both buttons
+ * @param {'square'|'rounded'|'pill'} props.shape - Shape of the outer corners (default: 'rounded')
+ * @param {boolean} props.disabled - Disable both buttons (default: false)
+ * @param {boolean} props.darkMode - Dark menu and buttons (defaults to the ThemeProvider's dark mode)
+ * @param {string} props.className - Additional CSS classes
+ * @param {...Object} props - Other ResponsiveButton props for the primary action
+ *
+ * @example
+ * <SplitButton
+ *   onClick={save}
+ *   items={[
+ *     { label: 'Save as draft', onSelect: saveDraft },
+ *     { label: 'Save and publish', onSelect: publish }
+ *   ]}
+ * >
+ *   Save
+ * </SplitButton>
+ */
+const SplitButton = ({
+  children,
+  onClick,
+  items = [],
+  menuLabel = 'More options',
+  menuPlacement = 'bottom-end',
+  variant = 'primary',
+  size,
+  shape = 'rounded',
+  disabled = false,
+  darkMode,
+  className = '',
+  ...buttonProps
+}) => {
+  const theme = useContext(ThemeContext);
+  // An explicit darkMode prop wins over the ThemeProvider
+  const isDarkMode = darkMode !== undefined ? darkMode : Boolean(theme && theme.isDarkMode);
+
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+  const toggleRef = useRef(null);
+  const menuRef = useRef(null);
+  // Item to focus once the menu has rendered: 'first' or 'last'
+  const focusOnOpenRef = useRef(null);
+  const menuId = `rnp-split-menu-${useId()}`;
+
+  const getMenuItems = () => (
+    menuRef.current ? Array.from(menuRef.current.querySelectorAll('[role="menuitem"]:not(:disabled)')) : []
+  );
+
+  const openMenu = (focusTarget) => {
+    focusOnOpenRef.current = focusTarget;
+    setOpen(true);
+  };
+
+  const closeMenu = (restoreFocus) => {
+    setOpen(false);
+    if (restoreFocus && toggleRef.current) toggleRef.current.focus();
+  };
+
+  // Move focus into the menu after it opens
+  useEffect(() => {
+    if (!open || !focusOnOpenRef.current) return;
+    const menuItems = getMenuItems();
+    const target = focusOnOpenRef.current === 'last' ? menuItems[menuItems.length - 1] : menuItems[0];
+    focusOnOpenRef.current = null;
+    if (target) target.focus();
+  }, [open]);
+
+  // Close when the pointer or focus goes elsewhere
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleOutside = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    };
+
+    document.addEventListener('mousedown', handleOutside);
+    document.addEventListener('touchstart', handleOutside);
+    document.addEventListener('focusin', handleOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleOutside);
+      document.removeEventListener('touchstart', handleOutside);
+      document.removeEventListener('focusin', handleOutside);
+    };
+  }, [open]);
+
+  const handleToggleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      openMenu(e.key === 'ArrowUp' ? 'last' : 'first');
+    }
+  };
+
+  const handleMenuKeyDown = (e) => {
+    const menuItems = getMenuItems();
+    const index = menuItems.indexOf(document.activeElement);
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (menuItems.length) menuItems[(index + 1) % menuItems.length].focus();
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        if (menuItems.length) menuItems[(index - 1 + menuItems.length) % menuItems.length].focus();
+        break;
+      case 'Home':
+        e.preventDefault();
+        if (menuItems.length) menuItems[0].focus();
+        break;
+      case 'End':
+        e.preventDefault();
+        if (menuItems.length) menuItems[menuItems.length - 1].focus();
+        break;
+      case 'Escape':
+        e.preventDefault();
+        // Don't let an enclosing modal close as well
+        e.stopPropagation();
+        closeMenu(true);
+        break;
+      case 'Tab':
+        closeMenu(false);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleSelect = (item, e) => {
+    closeMenu(true);
+    if (item.onSelect) item.onSelect(e);
+  };
+
+  const rootClasses = [
+    'split-button',
+    isDarkMode && 'split-button--dark',
+    className
+  ].filter(Boolean).join(' ');
+
+  return (
+    <div ref={rootRef} className={rootClasses}>
+      <ButtonGroup variant={variant} size={size} shape={shape} disabled={disabled}>
+        <ResponsiveButton onClick={onClick} darkMode={darkMode} {...buttonProps}>
+          {children}
+        </ResponsiveButton>
+        <ResponsiveButton
+          ref={toggleRef}
+          className="split-button__toggle"
+          darkMode={darkMode}
+          aria-label={menuLabel}
+          aria-haspopup="menu"
+          aria-expanded={open}
+          aria-controls={open ? menuId : undefined}
+          onClick={() => (open ? closeMenu(false) : openMenu('first'))}
+          onKeyDown={handleToggleKeyDown}
+        >
+          <CaretIcon />
+        </ResponsiveButton>
+      </ButtonGroup>
+
+      {open && (
+        <ul
+          ref={menuRef}
+          id={menuId}
+          role="menu"
+          aria-label={menuLabel}
+          className={`split-button__menu split-button__menu--${menuPlacement}`}
+          onKeyDown={handleMenuKeyDown}
+        >
+          {items.map((item, index) => (
+            <li key={item.key !== undefined ? item.key : index} role="none">
+              <button
+                type="button"
+                role="menuitem"
+                tabIndex={-1}
+                className="split-button__item"
+                disabled={item.disabled}
+                onClick={(e) => handleSelect(item, e)}
+              >
+                {item.icon && (
+                  <span className="split-button__item-icon" aria-hidden="true">{item.icon}</span>
+                )}
+                {item.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SplitButton;
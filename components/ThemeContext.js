@@ -0,0 +1,31 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * ThemeContext - Holds the value provided by ThemeProvider
+ * Components read it to pick up dark mode without prop drilling. It is null outside a provider.
+ */
+export const ThemeContext = createContext(null);
+
+const noop = () => {};
+
+// Returned by useTheme when there is no ThemeProvider above the caller
+const DEFAULT_THEME = {
+  isDarkMode: false,
+  themeMode: 'light',
+  resolvedTheme: 'light',
+  systemPreference: 'light',
+  toggleDarkMode: noop,
+  setDarkMode: noop,
+  setThemeMode: noop,
+  cycleThemeMode: noop,
+  clearStoredPreference: noop
+};
+
+/**
+ * useTheme - Reads the current theme from the nearest ThemeProvider
+ *
+ * Outside a provider it returns a static light theme whose setters do nothing.
+ *
+ * @returns {Object} - { isDarkMode, themeMode, resolvedTheme, systemPreference, toggleDarkMode, setDarkMode, setThemeMode, cycleThemeMode, clearStoredPreference }
+ */
+export const useTheme = () => useContext(ThemeContext) || DEFAULT_THEME;
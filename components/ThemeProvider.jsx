@@ -0,0 +1,44 @@
+import React, { useMemo } from 'react';
+import { ThemeContext } from './ThemeContext.js';
+import { useDarkModeAdvanced } from './DarkmodeToggle.jsx';
+
+/**
+ * ThemeProvider - Wires dark mode once at the root of the app
+ *
+ * Runs useDarkModeAdvanced and shares its state through context. ResponsiveButton, ResponsiveContainer,
+ * ResponsiveText and DarkModeToggle read it automatically; explicit props on those components still win.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Application tree
+ * @param {...Object} props.options - Any useDarkModeAdvanced option (persist, storageKey, defaultValue, respectSystemPreference,
+ *   watchSystemChanges, onChange, documentClass, lightClass, applyToBody, customClasses, syncTabs)
+ *
+ * @example
+ * <ThemeProvider persist="localStorage">
+ *   <App />
+ * </ThemeProvider>
+ */
+const ThemeProvider = ({ children, ...options }) => {
+  const theme = useDarkModeAdvanced(options);
+
+  // Only hand out a new object when something consumers care about changed
+  const value = useMemo(() => theme, [
+    theme.isDarkMode,
+    theme.themeMode,
+    theme.resolvedTheme,
+    theme.systemPreference,
+    theme.toggleDarkMode,
+    theme.setDarkMode,
+    theme.setThemeMode,
+    theme.cycleThemeMode,
+    theme.clearStoredPreference
+  ]);
+
+  return (
+    <ThemeContext.Provider value={value}>
+      {children}
+    </ThemeContext.Provider>
+  );
+};
+
+export default ThemeProvider;
@@ -0,0 +1,76 @@
+import React from 'react';
+import { DEFAULT_THEME_STORAGE_KEY } from './themeStorage.js';
+
+/** Attribute on <html> that records the active theme mode ('light' | 'dark' | 'system') */
+export const THEME_MODE_ATTRIBUTE = 'data-theme-mode';
+
+// Serialize a value for an inline script without letting it close the <script> tag
+const toScriptLiteral = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+/**
+ * getThemeScript - Builds a tiny inline script that applies the theme class before first paint
+ *
+ * Put the result in a <script> at the top of <head>. It reads the persisted mode (if any), falls back to
+ * `defaultMode`, resolves 'system' through prefers-color-scheme and sets the same classes as the dark mode hooks.
+ * The hooks read the mode back from the `data-theme-mode` attribute, so use the same options on both sides.
+ *
+ * @param {Object} [options] - Configuration options
+ * @param {boolean|'localStorage'|'sessionStorage'|'cookie'} [options.persist='localStorage'] - Where the hooks persist the choice
+ *   (custom adapters can't run before hydration - use false and the script only follows `defaultMode`)
+ * @param {string} [options.storageKey='rnp-theme'] - Key used to store the preference
+ * @param {'light'|'dark'|'system'} [options.defaultMode='system'] - Mode used when nothing is stored
+ * @param {string} [options.documentClass='dark'] - CSS class applied in dark mode
+ * @param {string} [options.lightClass='auto-dark'] - CSS class applied in light mode
+ * @returns {string} - Script source (without <script> tags)
+ */
+export const getThemeScript = ({
+  persist = 'localStorage',
+  storageKey = DEFAULT_THEME_STORAGE_KEY,
+  defaultMode = 'system',
+  documentClass = 'dark',
+  lightClass = 'auto-dark'
+} = {}) => {
+  let readStoredMode = 'null';
+
+  if (persist === true || persist === 'localStorage' || persist === 'sessionStorage') {
+    const storageName = persist === true ? 'localStorage' : persist;
+    readStoredMode = `window.${storageName}.getItem(${toScriptLiteral(storageKey)})`;
+  } else if (persist === 'cookie') {
+    readStoredMode = `(function(p){var c=document.cookie.split('; ');for(var i=0;i<c.length;i++){if(c[i].indexOf(p)===0){return decodeURIComponent(c[i].slice(p.length));}}return null;})(${toScriptLiteral(`${encodeURIComponent(storageKey)}=`)})`;
+  }
+
+  return [
+    '(function(){',
+    'var e=document.documentElement;',
+    `var m=${toScriptLiteral(defaultMode)};`,
+    `try{var s=${readStoredMode};if(s==='light'||s==='dark'||s==='system'){m=s;}}catch(x){}`,
+    "var d=m==='dark'||(m==='system'&&!!window.matchMedia&&window.matchMedia('(prefers-color-scheme: dark)').matches);",
+    `var on=d?${toScriptLiteral(documentClass)}:${toScriptLiteral(lightClass)};`,
+    `var off=d?${toScriptLiteral(lightClass)}:${toScriptLiteral(documentClass)};`,
+    'if(on){e.classList.add(on);}if(off){e.classList.remove(off);}',
+    `e.setAttribute(${toScriptLiteral(THEME_MODE_ATTRIBUTE)},m);`,
+    '})();'
+  ].join('');
+};
+
+/**
+ * ThemeScript - Renders the getThemeScript output as an inline <script>
+ *
+ * Render it inside <head> (before any stylesheet that depends on the theme) in server-rendered
+ * or statically generated pages to avoid a flash of the wrong theme.
+ *
+ * @param {Object} props - Component props, same options as getThemeScript
+ * @param {string} [props.nonce] - CSP nonce for the inline script
+ *
+ * @example
+ * <head>
+ *   <ThemeScript persist="localStorage" storageKey="my-app-theme" />
+ * </head>
+ */
+export const ThemeScript = ({ nonce, ...options }) => (
+  <script
+    nonce={nonce}
+    // The script runs during HTML parsing; React never executes or updates it
+    dangerouslySetInnerHTML={{ __html: getThemeScript(options) }}
+  />
+);
@@ -0,0 +1,33 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * ToastContext - Holds the toast API provided by ToastProvider. It is null outside a provider.
+ */
+export const ToastContext = createContext(null);
+
+const noop = () => {};
+
+// Returned by useToast when there is no ToastProvider above the caller
+const DEFAULT_TOAST = {
+  show: noop,
+  success: noop,
+  error: noop,
+  info: noop,
+  promise: (promiseOrFn) => (typeof promiseOrFn === 'function' ? promiseOrFn() : promiseOrFn),
+  dismiss: noop,
+  dismissAll: noop
+};
+
+/**
+ * useToast - Shows notifications through the nearest ToastProvider
+ *
+ * Outside a provider the methods do nothing (promise still returns the promise).
+ *
+ * @returns {Object} - { show, success, error, info, promise, dismiss, dismissAll }
+ *
+ * @example
+ * const toast = useToast();
+ * toast.success('Profile saved');
+ * toast.promise(saveProfile(), { loading: 'Saving…', success: 'Saved', error: (err) => err.message });
+ */
+export const useToast = () => useContext(ToastContext) || DEFAULT_TOAST;
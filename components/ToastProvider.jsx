@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useRef, useMemo, useContext } from 'react';
+import { createPortal } from 'react-dom';
+import { ToastContext } from './ToastContext.js';
+import { ThemeContext } from './ThemeContext.js';
+
+// Matches the exit animation in style.css
+const TOAST_EXIT_DURATION = 150;
+
+const TOAST_ICONS = {
+  success: '✓',
+  error: '✕',
+  info: 'i'
+};
+
+// Success and error messages may be functions of the settled value
+const resolveMessage = (message, value) => (typeof message === 'function' ? message(value) : message);
+
+const Toast = ({ toast, paused, onDismiss }) => {
+  const { type, title, message, duration, closing, version } = toast;
+  const remainingRef = useRef(duration);
+
+  // An updated toast (e.g. a settled promise toast) gets its full duration again
+  useEffect(() => {
+    remainingRef.current = duration;
+  }, [version, duration]);
+
+  // Auto-dismiss, keeping the remaining time while paused
+  useEffect(() => {
+    if (!duration || paused || closing) return undefined;
+
+    const startedAt = Date.now();
+    const timer = setTimeout(onDismiss, remainingRef.current);
+
+    return () => {
+      clearTimeout(timer);
+      remainingRef.current -= Date.now() - startedAt;
+    };
+  }, [duration, paused, closing, version]);
+
+  const toastClasses = [
+    'toast',
+    `toast--${type}`,
+    closing && 'toast--closing'
+  ].filter(Boolean).join(' ');
+
+  return (
+    // Errors interrupt the screen reader, everything else waits its turn
+    <li className={toastClasses} role={type === 'error' ? 'alert' : 'status'}>
+      <span className="toast__icon" aria-hidden="true">
+        {type === 'loading' ? <span className="toast__spinner" /> : TOAST_ICONS[type]}
+      </span>
+      <div className="toast__body">
+        {title && <p className="toast__title">{title}</p>}
+        {message && <div className="toast__message">{message}</div>}
+      </div>
+      <button
+        type="button"
+        className="toast__close"
+        aria-label="Dismiss notification"
+        onClick={onDismiss}
+      >
+        ×
+      </button>
+    </li>
+  );
+};
+
+/**
+ * ToastProvider - Renders toast notifications and provides the useToast() API
+ *
+ * Toasts stack in one corner of the viewport and dismiss themselves after `duration`, like the
+ * success/error feedback of ResponsiveButton. Hovering or focusing the stack pauses the timers.
+ * Each toast is a status region, errors an alert, so screen readers announce them (errors right away).
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Application tree
+ * @param {'top-left'|'top-center'|'top-right'|'bottom-left'|'bottom-center'|'bottom-right'} props.position - Corner the toasts stack in (default: 'bottom-right')
+ * @param {number} props.duration - Default time in ms before a toast dismisses itself (default: 3000)
+ * @param {number} props.maxToasts - Maximum visible toasts, the oldest is dismissed first (default: 5)
+ * @param {boolean} props.pauseOnHover - Pause auto-dismiss while the pointer or focus is on the toasts (default: true)
+ * @param {boolean} props.darkMode - Dark toasts (defaults to the ThemeProvider's dark mode)
+ * @param {string} props.label - Accessible name of the notification region (default: 'Notifications')
+ *
+ * @example
+ * <ToastProvider position="top-right">
+ *   <App />
+ * </ToastProvider>
+ */
+const ToastProvider = ({
+  children,
+  position = 'bottom-right',
+  duration: defaultDuration = 3000,
+  maxToasts = 5,
+  pauseOnHover = true,
+  darkMode,
+  label = 'Notifications'
+}) => {
+  const theme = useContext(ThemeContext);
+  // An explicit darkMode prop wins over the ThemeProvider
+  const isDarkMode = darkMode !== undefined ? darkMode : Boolean(theme && theme.isDarkMode);
+
+  const [toasts, setToasts] = useState([]);
+  const toastsRef = useRef(toasts);
+  const [paused, setPaused] = useState(false);
+  const [portalTarget, setPortalTarget] = useState(null);
+  const nextIdRef = useRef(0);
+  const removeTimersRef = useRef(new Set());
+  // Ids of promise toasts still loading, and those of them the user closed
+  const pendingIdsRef = useRef(new Set());
+  const dismissedIdsRef = useRef(new Set());
+
+  // Options read by the API functions, which stay stable across renders
+  const settingsRef = useRef({ defaultDuration, maxToasts });
+  settingsRef.current = { defaultDuration, maxToasts };
+
+  // Render into <body> after mounting so server and client markup match
+  useEffect(() => {
+    setPortalTarget(document.body);
+    const removeTimers = removeTimersRef.current;
+    return () => removeTimers.forEach(clearTimeout);
+  }, []);
+
+  const api = useMemo(() => {
+    // toastsRef is the source of truth so API calls made in a row see each other's changes
+    const commit = (next) => {
+      toastsRef.current = next;
+      setToasts(next);
+    };
+
+    const dismiss = (id) => {
+      const toast = toastsRef.current.find((entry) => entry.id === id);
+      if (!toast || toast.closing) return;
+
+      commit(toastsRef.current.map((entry) => (entry.id === id ? { ...entry, closing: true } : entry)));
+      if (toast.onDismiss) toast.onDismiss(id);
+      // Its promise mustn't bring it back once it has been removed
+      if (pendingIdsRef.current.has(id)) dismissedIdsRef.current.add(id);
+
+      // Remove once the exit animation has played
+      const timer = setTimeout(() => {
+        removeTimersRef.current.delete(timer);
+        commit(toastsRef.current.filter((entry) => entry.id !== id));
+      }, TOAST_EXIT_DURATION);
+      removeTimersRef.current.add(timer);
+    };
+
+    const dismissAll = () => {
+      toastsRef.current.forEach((toast) => dismiss(toast.id));
+    };
+
+    /**
+     * Shows a toast, or updates the one with the same `id`
+     * @returns {string} - Toast id, for dismiss() or later updates
+     */
+    const show = (message, { id, type = 'info', title, duration, onDismiss } = {}) => {
+      const toastId = id !== undefined ? id : `rnp-toast-${++nextIdRef.current}`;
+      const { defaultDuration: fallbackDuration, maxToasts: limit } = settingsRef.current;
+      const existing = toastsRef.current.find((entry) => entry.id === toastId);
+
+      const toast = {
+        id: toastId,
+        type,
+        title,
+        message,
+        // null or 0 keeps the toast until it's dismissed; loading toasts always wait for their promise
+        duration: type === 'loading' ? null : (duration !== undefined ? duration : fallbackDuration),
+        onDismiss,
+        closing: false,
+        version: existing ? existing.version + 1 : 0
+      };
+
+      // The user already closed it (e.g. a promise toast dismissed while loading)
+      if (existing && existing.closing) return toastId;
+
+      if (existing) {
+        commit(toastsRef.current.map((entry) => (entry.id === toastId ? toast : entry)));
+        return toastId;
+      }
+
+      commit([...toastsRef.current, toast]);
+
+      const open = toastsRef.current.filter((entry) => !entry.closing);
+      open.slice(0, Math.max(open.length - limit, 0)).forEach((entry) => dismiss(entry.id));
+
+      return toastId;
+    };
+
+    /**
+     * Follows a promise with a loading toast that turns into a success or error toast
+     * @returns {Promise} - The original promise
+     */
+    const promise = (promiseOrFn, { loading = 'Loading…', success = 'Done', error = 'Something went wrong' } = {}, options = {}) => {
+      const pending = typeof promiseOrFn === 'function' ? promiseOrFn() : promiseOrFn;
+      const id = show(loading, { ...options, type: 'loading' });
+      pendingIdsRef.current.add(id);
+      dismissedIdsRef.current.delete(id);
+
+      const settle = (message, type) => {
+        pendingIdsRef.current.delete(id);
+        // Closed while loading: the user isn't interested in the result
+        if (dismissedIdsRef.current.delete(id)) return;
+        show(message, { ...options, id, type });
+      };
+
+      Promise.resolve(pending).then(
+        (value) => settle(resolveMessage(success, value), 'success'),
+        (reason) => settle(resolveMessage(error, reason), 'error')
+      );
+
+      return pending;
+    };
+
+    return {
+      show,
+      success: (message, options) => show(message, { ...options, type: 'success' }),
+      error: (message, options) => show(message, { ...options, type: 'error' }),
+      info: (message, options) => show(message, { ...options, type: 'info' }),
+      promise,
+      dismiss,
+      dismissAll
+    };
+  }, []);
+
+  const handlePause = () => {
+    if (pauseOnHover) setPaused(true);
+  };
+
+  const handleResume = (e) => {
+    // Focus moving between toasts shouldn't restart the timers
+    if (e.type === 'blur' && e.currentTarget.contains(e.relatedTarget)) return;
+    setPaused(false);
+  };
+
+  const viewportClasses = [
+    'toast-viewport',
+    `toast-viewport--${position}`,
+    isDarkMode && 'toast-viewport--dark'
+  ].filter(Boolean).join(' ');
+
+  // Each toast is its own status or alert region, so the list isn't a live region as well
+  // (nested live regions make screen readers announce a toast twice)
+  const viewport = (
+    <section className={viewportClasses} aria-label={label}>
+      <ol
+        className="toast-viewport__list"
+        onMouseEnter={handlePause}
+        onMouseLeave={handleResume}
+        onFocus={handlePause}
+        onBlur={handleResume}
+      >
+        {toasts.map((toast) => (
+          <Toast
+            key={toast.id}
+            toast={toast}
+            paused={paused}
+            onDismiss={() => api.dismiss(toast.id)}
+          />
+        ))}
+      </ol>
+    </section>
+  );
+
+  return (
+    <ToastContext.Provider value={api}>
+      {children}
+      {portalTarget && createPortal(viewport, portalTarget)}
+    </ToastContext.Provider>
+  );
+};
+
+export default ToastProvider;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import ButtonGroup from './ButtonGroup.jsx';
+import { composeHandlers, getTabStop, useSelection } from './selection.js';
+
+// Arrow keys that move focus, per orientation
+const NAVIGATION_KEYS = {
+  horizontal: { previous: 'ArrowLeft', next: 'ArrowRight' },
+  vertical: { previous: 'ArrowUp', next: 'ArrowDown' }
+};
+
+/**
+ * ToggleButtonGroup - A ButtonGroup whose buttons can be switched on and off
+ *
+ * Each child ResponsiveButton needs a `value`. Pressed buttons get `aria-pressed` and
+ * `selectedVariant`. The group is a single tab stop: arrow keys move between the buttons,
+ * Home and End jump to the first and last one.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - ResponsiveButtons with a `value` prop
+ * @param {'single'|'multiple'} props.type - Whether one or several buttons can be pressed (default: 'single')
+ * @param {*} props.value - Pressed value (single) or array of values (multiple), for a controlled group
+ * @param {*} props.defaultValue - Initially pressed value(s) of an uncontrolled group
+ * @param {Function} props.onChange - Receives the new value (null or an array) and the click event
+ * @param {boolean} props.required - Keep at least one button pressed (default: false)
+ * @param {string} props.variant - Variant of buttons that aren't pressed (default: 'outline')
+ * @param {string} props.selectedVariant - Variant of pressed buttons (default: 'primary')
+ * @param {'horizontal'|'vertical'} props.orientation - Direction of the buttons and arrow keys (default: 'horizontal')
+ * @param {...Object} props - Other ButtonGroup props (size, shape, attached, fullWidth, disabled, label, ...)
+ *
+ * @example
+ * <ToggleButtonGroup value={align} onChange={setAlign} required label="Alignment">
+ *   <ResponsiveButton value="left">Left</ResponsiveButton>
+ *   <ResponsiveButton value="center">Center</ResponsiveButton>
+ *   <ResponsiveButton value="right">Right</ResponsiveButton>
+ * </ToggleButtonGroup>
+ */
+const ToggleButtonGroup = ({
+  children,
+  type = 'single',
+  value,
+  defaultValue,
+  onChange,
+  required = false,
+  variant = 'outline',
+  selectedVariant = 'primary',
+  orientation = 'horizontal',
+  disabled = false,
+  onKeyDown,
+  ...groupProps
+}) => {
+  const { selectedValues, toggle } = useSelection({
+    multiple: type === 'multiple',
+    value,
+    defaultValue,
+    onChange,
+    required
+  });
+  // Last focused value, so the tab stop stays where the user left it
+  const [focusedValue, setFocusedValue] = useState(null);
+
+  const items = React.Children.toArray(children).filter(React.isValidElement);
+  const enabledValues = items
+    .filter((item) => !disabled && !item.props.disabled)
+    .map((item) => item.props.value);
+  const tabStop = getTabStop(focusedValue, selectedValues, enabledValues);
+
+  const handleKeyDown = (e) => {
+    if (onKeyDown) onKeyDown(e);
+    if (e.defaultPrevented) return;
+
+    const { previous, next } = NAVIGATION_KEYS[orientation] || NAVIGATION_KEYS.horizontal;
+    const buttons = Array.from(e.currentTarget.querySelectorAll('[data-toggle-item]:not(:disabled)'));
+    const index = buttons.indexOf(document.activeElement);
+    if (index === -1) return;
+
+    let target;
+    if (e.key === previous) target = buttons[(index - 1 + buttons.length) % buttons.length];
+    else if (e.key === next) target = buttons[(index + 1) % buttons.length];
+    else if (e.key === 'Home') target = buttons[0];
+    else if (e.key === 'End') target = buttons[buttons.length - 1];
+    if (!target) return;
+
+    e.preventDefault();
+    target.focus();
+  };
+
+  return (
+    <ButtonGroup
+      orientation={orientation}
+      variant={variant}
+      disabled={disabled}
+      onKeyDown={handleKeyDown}
+      {...groupProps}
+    >
+      {items.map((item) => {
+        const itemValue = item.props.value;
+        const isSelected = selectedValues.includes(itemValue);
+
+        return React.cloneElement(item, {
+          variant: isSelected ? selectedVariant : (item.props.variant || variant),
+          'aria-pressed': isSelected,
+          'data-toggle-item': '',
+          tabIndex: itemValue === tabStop ? 0 : -1,
+          onClick: composeHandlers(item.props.onClick, (e) => toggle(itemValue, e)),
+          onFocus: composeHandlers(item.props.onFocus, () => setFocusedValue(itemValue))
+        });
+      })}
+    </ButtonGroup>
+  );
+};
+
+export default ToggleButtonGroup;
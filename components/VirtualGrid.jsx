@@ -0,0 +1,230 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import { responsiveClasses, resolveResponsiveValue, mergeResponsiveValue } from './responsiveProps.js';
+import { useBreakpoint } from './mediaQuery.js';
+import { useContainerBreakpoint } from './containerQuery.js';
+import { useIsomorphicLayoutEffect } from './isomorphicLayoutEffect.js';
+import '../style.css'
+
+// scrollElement may be an element or a ref to one; nothing means the window scrolls
+const resolveScrollElement = (scrollElement) => (
+  scrollElement && 'current' in scrollElement ? scrollElement.current : scrollElement || null
+);
+
+// Top edge and height of the visible part of the scroll element, in viewport coordinates
+const getViewport = (element) => {
+  if (!element) return { top: 0, height: window.innerHeight };
+  return { top: element.getBoundingClientRect().top + element.clientTop, height: element.clientHeight };
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * VirtualGrid - A ResponsiveGrid for long lists that only mounts the rows in view
+ *
+ * Takes the same column props as ResponsiveGrid and resolves them in JS for the active breakpoint,
+ * so it knows how many items a row holds. Rows have a fixed height; rows outside the visible part
+ * of the scroll element (plus `overscan` rows on either side) aren't rendered.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.items - Items to render
+ * @param {Function} props.renderItem - (item, index) => ReactNode
+ * @param {Function} props.getItemKey - (item, index) => key (default: the index)
+ * @param {number} props.rowHeight - Height of a row in px, without the gap (required)
+ * @param {number|Object} props.cols - Default number of columns, or a breakpoint object such as { base: 1, md: 3 }
+ * @param {number} props.smCols - Columns on small screens (640px+)
+ * @param {number} props.mdCols - Columns on medium screens (768px+)
+ * @param {number} props.lgCols - Columns on large screens (1024px+)
+ * @param {number} props.xlCols - Columns on extra large screens (1280px+)
+ * @param {'1'|'2'|'4'|'6'|'8'|'10'|'12'|Object} props.gap - Gap between items (or a breakpoint object)
+ * @param {number} props.overscan - Rows rendered above and below the visible ones (default: 2)
+ * @param {HTMLElement|React.RefObject} props.scrollElement - Element that scrolls the grid (default: the window)
+ * @param {'start'|'center'|'end'|'stretch'} props.alignItems - Vertical alignment (default: 'stretch')
+ * @param {'start'|'center'|'end'|'between'} props.justifyItems - Horizontal alignment (default: 'between')
+ * @param {'viewport'|'container'} props.responsiveTo - Whether the columns follow the viewport or the nearest query container (default: 'viewport')
+ * @param {string} props.className - Additional CSS classes
+ * @param {React.Ref} ref - Exposes scrollToIndex(index, { align, behavior })
+ *
+ * @example
+ * const gridRef = useRef(null);
+ *
+ * <VirtualGrid
+ *   ref={gridRef}
+ *   items={products}
+ *   getItemKey={(product) => product.id}
+ *   renderItem={(product) => <ProductCard product={product} />}
+ *   rowHeight={320}
+ *   cols={{ base: 2, md: 3, xl: 5 }}
+ * />
+ *
+ * gridRef.current.scrollToIndex(250, { align: 'center' });
+ */
+const VirtualGrid = forwardRef(({
+  items = [],
+  renderItem,
+  getItemKey,
+  rowHeight,
+  cols = 1,
+  smCols,
+  mdCols,
+  lgCols,
+  xlCols,
+  gap = '4',
+  overscan = 2,
+  scrollElement,
+  alignItems = 'stretch',
+  justifyItems = 'between',
+  responsiveTo = 'viewport',
+  className = '',
+  style,
+  ...props
+}, ref) => {
+  if (typeof rowHeight !== 'number' || !(rowHeight > 0)) {
+    throw new Error(`VirtualGrid needs a positive rowHeight in px, got ${rowHeight}`);
+  }
+
+  const gridRef = useRef(null);
+  const rowsRef = useRef(null);
+
+  // Everything is resolved for one breakpoint, so the columns in CSS and in the row maths agree
+  const viewportBreakpoint = useBreakpoint();
+  const containerBreakpoint = useContainerBreakpoint(gridRef, responsiveTo === 'container');
+  const breakpoint = responsiveTo === 'container' ? containerBreakpoint || 'base' : viewportBreakpoint;
+  const target = { breakpoint };
+
+  const columnCount = Math.max(1, Math.floor(resolveResponsiveValue(
+    mergeResponsiveValue(cols, { sm: smCols, md: mdCols, lg: lgCols, xl: xlCols }),
+    breakpoint,
+    1
+  )) || 1);
+  const rowCount = Math.ceil(items.length / columnCount);
+  const gapClasses = responsiveClasses('responsive-grid', gap, (value) => `gap-${value}`, '4', target);
+
+  // The gap comes from a design token, so its size in px is read from the rendered grid
+  const [rowGap, setRowGap] = useState(0);
+  const gapClassName = gapClasses.join(' ');
+  useIsomorphicLayoutEffect(() => {
+    if (rowsRef.current) setRowGap(parseFloat(window.getComputedStyle(rowsRef.current).rowGap) || 0);
+  }, [gapClassName]);
+
+  const rowPitch = rowHeight + rowGap;
+  const totalHeight = rowCount > 0 ? rowCount * rowPitch - rowGap : 0;
+
+  // Rows [start, end) are mounted; the server renders the first few
+  const [range, setRange] = useState(() => ({ start: 0, end: overscan + 1 }));
+
+  const updateRange = () => {
+    const grid = gridRef.current;
+    if (!grid) return;
+
+    const viewport = getViewport(resolveScrollElement(scrollElement));
+    // How far the top of the visible area is below the top of the grid
+    const offset = viewport.top - grid.getBoundingClientRect().top;
+    const start = clamp(Math.floor(offset / rowPitch) - overscan, 0, rowCount);
+    const end = clamp(Math.ceil((offset + viewport.height) / rowPitch) + overscan, start, rowCount);
+
+    setRange((current) => (current.start === start && current.end === end ? current : { start, end }));
+  };
+
+  // Before the first paint when the scroll element is already known, and whenever the layout changes
+  useIsomorphicLayoutEffect(updateRange, [rowPitch, rowCount, overscan, scrollElement]);
+
+  // Listeners are added after layout effects, when a scroll element's ref is attached
+  useEffect(() => {
+    const element = resolveScrollElement(scrollElement);
+    const scrollTarget = element || window;
+    const handleChange = () => updateRange();
+
+    handleChange();
+    scrollTarget.addEventListener('scroll', handleChange, { passive: true });
+    window.addEventListener('resize', handleChange);
+
+    let resizeObserver;
+    if (element && typeof ResizeObserver !== 'undefined') {
+      resizeObserver = new ResizeObserver(handleChange);
+      resizeObserver.observe(element);
+    }
+
+    return () => {
+      scrollTarget.removeEventListener('scroll', handleChange);
+      window.removeEventListener('resize', handleChange);
+      if (resizeObserver) resizeObserver.disconnect();
+    };
+  }, [rowPitch, rowCount, overscan, scrollElement]);
+
+  useImperativeHandle(ref, () => ({
+    scrollToIndex: (index, { align = 'start', behavior = 'auto' } = {}) => {
+      const grid = gridRef.current;
+      if (!grid || items.length === 0) return;
+
+      const element = resolveScrollElement(scrollElement);
+      const viewport = getViewport(element);
+      const row = Math.floor(clamp(index, 0, items.length - 1) / columnCount);
+      // Position of the row's top edge relative to the top of the visible area
+      const rowTop = grid.getBoundingClientRect().top + row * rowPitch - viewport.top;
+
+      let delta;
+      if (align === 'center') {
+        delta = rowTop - (viewport.height - rowHeight) / 2;
+      } else if (align === 'end') {
+        delta = rowTop + rowHeight - viewport.height;
+      } else if (align === 'auto') {
+        // Only scroll when the row isn't fully visible already
+        if (rowTop < 0) delta = rowTop;
+        else if (rowTop + rowHeight > viewport.height) delta = rowTop + rowHeight - viewport.height;
+        else return;
+      } else {
+        delta = rowTop;
+      }
+
+      if (element) {
+        element.scrollTo({ top: element.scrollTop + delta, behavior });
+      } else {
+        window.scrollTo({ top: window.scrollY + delta, behavior });
+      }
+    }
+  }));
+
+  const firstIndex = Math.min(range.start, rowCount) * columnCount;
+  const lastIndex = Math.min(range.end * columnCount, items.length);
+  const visibleItems = [];
+  for (let index = firstIndex; index < lastIndex; index += 1) {
+    visibleItems.push(
+      <React.Fragment key={getItemKey ? getItemKey(items[index], index) : index}>
+        {renderItem(items[index], index)}
+      </React.Fragment>
+    );
+  }
+
+  const rowsClasses = [
+    'responsive-grid',
+    'responsive-grid-virtual__rows',
+    ...gapClasses,
+    `responsive-grid--items-${alignItems}`,
+    `responsive-grid--justify-${justifyItems}`
+  ].join(' ');
+
+  return (
+    <div
+      ref={gridRef}
+      className={['responsive-grid-virtual', className].filter(Boolean).join(' ')}
+      style={{ height: `${totalHeight}px`, ...style }}
+      {...props}
+    >
+      <div
+        ref={rowsRef}
+        className={rowsClasses}
+        style={{
+          '--rnp-virtual-cols': columnCount,
+          '--rnp-virtual-row-height': `${rowHeight}px`,
+          transform: `translateY(${Math.min(range.start, rowCount) * rowPitch}px)`
+        }}
+      >
+        {visibleItems}
+      </div>
+    </div>
+  );
+});
+
+VirtualGrid.displayName = 'VirtualGrid';
+
+export default VirtualGrid;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { Send, Upload, Download, Trash2, Pencil, Save, Plus, Copy, Share2, RefreshCw, Search, X } from 'lucide-react';
+
+/**
+ * actionTypes - Registry behind ResponsiveButton's `actionType` prop
+ *
+ * An action type bundles the icon, accessible label and optional defaults (variant, success and
+ * error messages) of a common button action. Props set on the button always win over the
+ * registered defaults.
+ */
+
+// Built-in types only set an icon and a label, so existing buttons keep their variant
+const registry = new Map([
+  ['send', { icon: Send, label: 'Send' }],
+  ['upload', { icon: Upload, label: 'Upload' }],
+  ['download', { icon: Download, label: 'Download' }],
+  ['delete', { icon: Trash2, label: 'Delete' }],
+  ['edit', { icon: Pencil, label: 'Edit' }],
+  ['save', { icon: Save, label: 'Save' }],
+  ['add', { icon: Plus, label: 'Add' }],
+  ['copy', { icon: Copy, label: 'Copy' }],
+  ['share', { icon: Share2, label: 'Share' }],
+  ['refresh', { icon: RefreshCw, label: 'Refresh' }],
+  ['search', { icon: Search, label: 'Search' }],
+  ['close', { icon: X, label: 'Close' }]
+]);
+
+/**
+ * registerActionType - Adds an action type, or replaces one with the same name
+ *
+ * @param {string} name - Value for the `actionType` prop
+ * @param {Object} definition - Action type definition
+ * @param {React.ComponentType|React.ReactElement} [definition.icon] - Icon component (e.g. from lucide-react) or element
+ * @param {string} [definition.label] - Accessible name used by icon-only buttons without an aria-label
+ * @param {string} [definition.variant] - Default button variant
+ * @param {React.ReactNode} [definition.successMessage] - Default success feedback
+ * @param {React.ReactNode} [definition.errorMessage] - Default error feedback
+ * @returns {Function} - Removes the registration again
+ *
+ * @example
+ * import { Archive } from 'lucide-react';
+ * registerActionType('archive', { icon: Archive, label: 'Archive', variant: 'secondary', successMessage: 'Archived' });
+ */
+export const registerActionType = (name, definition = {}) => {
+  const entry = { ...definition };
+  registry.set(name, entry);
+
+  return () => {
+    if (registry.get(name) === entry) registry.delete(name);
+  };
+};
+
+/**
+ * getActionType - Looks up a registered action type
+ * @param {string} name - Action type name
+ * @returns {Object|null} - The definition, or null for unknown names and 'default'
+ */
+export const getActionType = (name) => registry.get(name) || null;
+
+/**
+ * renderActionIcon - Renders the icon of an action type definition
+ * @param {Object|null} action - Definition returned by getActionType
+ * @returns {React.ReactNode}
+ */
+export const renderActionIcon = (action) => {
+  if (!action || !action.icon) return null;
+  if (React.isValidElement(action.icon)) return action.icon;
+  return React.createElement(action.icon, { size: 16 });
+};
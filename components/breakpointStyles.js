@@ -0,0 +1,256 @@
+import { BREAKPOINTS, DEFAULT_BREAKPOINTS, resolveBreakpoints, setBreakpoints } from './breakpoints.js';
+
+/**
+ * breakpointStyles - The breakpoint-dependent CSS, generated from the breakpoint scale
+ *
+ * Every `@media (min-width: …)` and `@container (min-width: …)` rule of style.css is listed here
+ * once, per section, and written into style.css for the default scale by `npm run build:css`.
+ * Those rules only apply while <html> has no `data-rnp-breakpoints` attribute; configureBreakpoints
+ * sets it and injects the same rules for the app's own scale, so the two sets never overlap.
+ */
+
+/** Attribute on <html> that switches from the default media queries to configured ones */
+export const BREAKPOINTS_ATTRIBUTE = 'data-rnp-breakpoints';
+
+/** Scope of the rules in style.css */
+export const DEFAULT_BREAKPOINTS_SCOPE = `:where(:root:not([${BREAKPOINTS_ATTRIBUTE}]))`;
+
+/** Scope of the rules injected by configureBreakpoints */
+export const CONFIGURED_BREAKPOINTS_SCOPE = `:where(:root[${BREAKPOINTS_ATTRIBUTE}])`;
+
+const space = (step) => (step === '0' ? '0' : `var(--rnp-space-${step})`);
+
+// Rules of a breakpoint-keyed prop: `.block--{key}-{suffix} { declarations }`, where the key is the
+// breakpoint name, or `cq-{breakpoint}` for container queries. `entries` may also be a function of
+// the breakpoint name, for declarations that mention it.
+const variants = (block, entries, prefix = '') => (key, breakpoint) => (
+  (typeof entries === 'function' ? entries(breakpoint) : entries).map(([suffix, declarations]) => (
+    [`${prefix}.${block}--${key}-${suffix}`, declarations]
+  ))
+);
+
+const combine = (...sections) => (key, breakpoint) => sections.flatMap((section) => section(key, breakpoint));
+
+// Rules that only exist at specific breakpoints
+const atBreakpoints = (rulesByBreakpoint) => (breakpoint) => rulesByBreakpoint[breakpoint] || [];
+
+const SPACE_STEPS = ['0', '1', '2', '4', '6', '8', '12', '16'];
+
+const BUTTON_SIZES = [
+  ['xs', 'var(--rnp-space-1) var(--rnp-space-2)', '0.75rem', '1.5rem'],
+  ['sm', 'var(--rnp-space-1-5) var(--rnp-space-3)', '0.875rem', '2rem'],
+  ['md', 'var(--rnp-space-2) var(--rnp-space-4)', '0.875rem', '2.5rem'],
+  ['lg', 'var(--rnp-space-3) var(--rnp-space-6)', '1rem', '3rem'],
+  ['xl', 'var(--rnp-space-4) var(--rnp-space-8)', '1.125rem', '3.5rem']
+];
+
+const TEXT_SIZES = [
+  ['xs', '0.75rem', '1rem'],
+  ['sm', '0.875rem', '1.25rem'],
+  ['md', '1rem', '1.5rem'],
+  ['lg', '1.125rem', '1.75rem'],
+  ['xl', '1.25rem', '1.75rem'],
+  ['2xl', '1.5rem', '2rem'],
+  ['3xl', '1.875rem', '2.25rem'],
+  ['4xl', '2.25rem', '2.5rem'],
+  ['5xl', '3rem', '1'],
+  ['6xl', '3.75rem', '1']
+];
+
+/** Span, start and order classes of GridItem (without the breakpoint) */
+export const GRID_ITEM_RULES = [
+  ...[1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].map((count) => [`col-span-${count}`, `grid-column-end: span ${count};`]),
+  ['col-span-full', 'grid-column-start: 1; grid-column-end: -1;'],
+  ...[1, 2, 3, 4, 5, 6].map((count) => [`row-span-${count}`, `grid-row-end: span ${count};`]),
+  ['row-span-full', 'grid-row-start: 1; grid-row-end: -1;'],
+  ...[1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].map((line) => [`col-start-${line}`, `grid-column-start: ${line};`]),
+  ['col-start-auto', 'grid-column-start: auto;'],
+  ['order-first', 'order: -9999;'],
+  ['order-last', 'order: 9999;'],
+  ['order-none', 'order: 0;'],
+  ...[0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].map((position) => [`order-${position}`, `order: ${position};`])
+];
+
+/**
+ * Breakpoint sections in the order they appear in style.css. Each one maps a breakpoint name to
+ * its `[selector, declarations]` rules.
+ */
+export const BREAKPOINT_SECTIONS = {
+  'container-spacing': atBreakpoints({
+    md: [
+      ['.responsive-container--padding', 'padding: var(--rnp-space-6);'],
+      ['.responsive-container--margin', 'margin: var(--rnp-space-6);']
+    ],
+    lg: [
+      ['.responsive-container--padding', 'padding: var(--rnp-space-8);'],
+      ['.responsive-container--margin', 'margin: var(--rnp-space-8);']
+    ]
+  }),
+
+  container: combine(
+    variants('responsive-container', SPACE_STEPS.map((step) => [`padding-x-${step}`, `padding-left: ${space(step)}; padding-right: ${space(step)};`])),
+    variants('responsive-container', SPACE_STEPS.map((step) => [`padding-y-${step}`, `padding-top: ${space(step)}; padding-bottom: ${space(step)};`])),
+    variants('responsive-container', [
+      ['stack', 'display: block;'],
+      ['flex', 'display: flex;'],
+      ['grid', 'display: grid;'],
+      ...['1', '2', '4', '6', '8'].map((step) => [`gap-${step}`, `gap: ${space(step)};`]),
+      ['align-items-start', 'align-items: flex-start;'],
+      ['align-items-center', 'align-items: center;'],
+      ['align-items-end', 'align-items: flex-end;'],
+      ['align-items-stretch', 'align-items: stretch;'],
+      ['align-items-baseline', 'align-items: baseline;'],
+      ['justify-start', 'justify-content: flex-start;'],
+      ['justify-center', 'justify-content: center;'],
+      ['justify-end', 'justify-content: flex-end;'],
+      ['justify-between', 'justify-content: space-between;'],
+      ['justify-around', 'justify-content: space-around;'],
+      ['justify-evenly', 'justify-content: space-evenly;'],
+      ...['row', 'column', 'row-reverse', 'column-reverse'].map((direction) => [`flex-${direction}`, `flex-direction: ${direction};`]),
+      ...['nowrap', 'wrap', 'wrap-reverse'].map((wrap) => [`flex-wrap-${wrap}`, `flex-wrap: ${wrap};`])
+    ])
+  ),
+
+  'grid-cols': variants('responsive-grid', [1, 2, 3, 4, 5, 6, 12].map((count) => (
+    [`cols-${count}`, `grid-template-columns: repeat(${count}, 1fr);`]
+  ))),
+
+  'grid-gap': variants('responsive-grid', ['1', '2', '4', '6', '8', '10', '12'].map((step) => (
+    [`gap-${step}`, `gap: ${space(step)};`]
+  ))),
+
+  'grid-template': variants('responsive-grid', (breakpoint) => [
+    ['rows', `grid-template-rows: var(--rnp-grid-rows-${breakpoint});`],
+    ['areas', `grid-template-areas: var(--rnp-grid-areas-${breakpoint});`]
+  ]),
+
+  'grid-item': variants('responsive-grid__item', (breakpoint) => [
+    ...GRID_ITEM_RULES,
+    ['area', `grid-area: var(--rnp-grid-area-${breakpoint});`]
+  ]),
+
+  'text-size': variants('responsive-text', TEXT_SIZES.map(([size, fontSize, lineHeight]) => (
+    [size, `font-size: ${fontSize}; line-height: ${lineHeight};`]
+  ))),
+
+  'text-align': variants('responsive-text', ['left', 'center', 'right', 'justify'].map((align) => (
+    [align, `text-align: ${align};`]
+  ))),
+
+  button: combine(
+    variants('button', BUTTON_SIZES.map(([size, padding, fontSize, minHeight]) => (
+      [`size-${size}`, `padding: ${padding}; font-size: ${fontSize}; min-height: ${minHeight};`]
+    ))),
+    variants('button', BUTTON_SIZES.map(([size, , , minHeight]) => (
+      [`size-${size}`, `padding: 0; width: ${minHeight}; height: ${minHeight};`]
+    )), '.button--icon-only'),
+    variants('button', [
+      ['width-full', 'width: 100%;'],
+      ['width-fit', 'width: fit-content;'],
+      ['width-auto', 'width: auto;']
+    ])
+  )
+};
+
+/** Sections that also get `@container` variants (`.block--cq-{breakpoint}-…`) for responsiveTo="container" */
+export const CONTAINER_QUERY_SECTIONS = ['container', 'grid-cols', 'grid-gap', 'grid-template', 'grid-item'];
+
+const createBlocks = (section, breakpoints, scope, atRule, classPrefix) => Object.keys(breakpoints)
+  .map((breakpoint) => {
+    const rules = section(`${classPrefix}${breakpoint}`, breakpoint);
+    if (!rules.length) return '';
+    const body = rules.map(([selector, declarations]) => `  ${scope} ${selector} { ${declarations} }`).join('\n');
+    return `${atRule} (min-width: ${breakpoints[breakpoint]}px) {\n${body}\n}`;
+  })
+  .filter(Boolean);
+
+/**
+ * Builds the media query (and container query) blocks of one section
+ * @param {string} name - Key of BREAKPOINT_SECTIONS
+ * @param {Object} breakpoints - Breakpoint scale, smallest first
+ * @param {string} scope - Selector every rule is scoped to
+ * @returns {string}
+ */
+export const createBreakpointSection = (name, breakpoints, scope) => {
+  const section = BREAKPOINT_SECTIONS[name];
+  if (!section) throw new Error(`Unknown breakpoint section "${name}"`);
+
+  return [
+    ...createBlocks(section, breakpoints, scope, '@media', ''),
+    ...(CONTAINER_QUERY_SECTIONS.includes(name) ? createBlocks(section, breakpoints, scope, '@container', 'cq-') : [])
+  ].join('\n\n');
+};
+
+/**
+ * createBreakpointStyles - The breakpoint-dependent CSS of the package for a breakpoint scale
+ *
+ * Use it to server-render the styles that configureBreakpoints injects on the client: put the
+ * result in a <style> element and the `data-rnp-breakpoints` attribute on <html>.
+ *
+ * @param {Object} [overrides] - Widths in px by breakpoint name, merged into the default scale
+ * @param {Object} [options] - Configuration options
+ * @param {string} [options.scope] - Selector every rule is scoped to (default: the configured-breakpoints scope)
+ * @returns {string}
+ *
+ * @example
+ * const css = createBreakpointStyles({ md: 800, '2xl': 1600 });
+ * // <html data-rnp-breakpoints><head><style id="rnp-breakpoints">{css}</style>…
+ */
+export const createBreakpointStyles = (overrides, { scope = CONFIGURED_BREAKPOINTS_SCOPE } = {}) => {
+  const breakpoints = resolveBreakpoints(overrides);
+  return Object.keys(BREAKPOINT_SECTIONS)
+    .map((name) => createBreakpointSection(name, breakpoints, scope))
+    .join('\n\n');
+};
+
+/**
+ * configureBreakpoints - Changes the breakpoint scale of the CSS and the JS helpers
+ *
+ * Overrides are merged into the default scale (sm 640, md 768, lg 1024, xl 1280, 2xl 1536), so
+ * they can move existing breakpoints or add new tiers. Call it once at startup, before the first
+ * render. Without a document (server rendering) only the JS side is updated - render
+ * createBreakpointStyles yourself.
+ *
+ * @param {Object} overrides - Widths in px by breakpoint name
+ * @param {Object} [options] - Configuration options
+ * @param {string} [options.id='rnp-breakpoints'] - id of the injected <style> element
+ * @param {boolean} [options.injectStyles=true] - Inject the CSS (turn off when it is server-rendered)
+ * @returns {Function} - Restores the previous scale and removes the injected styles
+ *
+ * @example
+ * configureBreakpoints({ md: 800, '3xl': 1920 });
+ */
+export const configureBreakpoints = (overrides, { id = 'rnp-breakpoints', injectStyles = true } = {}) => {
+  const previous = BREAKPOINTS;
+  setBreakpoints(resolveBreakpoints(overrides));
+
+  let style = null;
+  let previousCss = null;
+  if (typeof document !== 'undefined') {
+    document.documentElement.setAttribute(BREAKPOINTS_ATTRIBUTE, '');
+
+    if (injectStyles) {
+      style = document.getElementById(id);
+      if (style) {
+        previousCss = style.textContent;
+      } else {
+        style = document.createElement('style');
+        style.id = id;
+        document.head.appendChild(style);
+      }
+      style.textContent = createBreakpointStyles(overrides);
+    }
+  }
+
+  return () => {
+    setBreakpoints(previous);
+    if (style && previousCss !== null) {
+      style.textContent = previousCss;
+    } else if (style && style.parentNode) {
+      style.parentNode.removeChild(style);
+    }
+    if (typeof document !== 'undefined' && previous === DEFAULT_BREAKPOINTS) {
+      document.documentElement.removeAttribute(BREAKPOINTS_ATTRIBUTE);
+    }
+  };
+};
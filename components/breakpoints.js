@@ -0,0 +1,108 @@
+/**
+ * breakpoints - The package's breakpoint scale
+ *
+ * The single definition behind the mobile-first media queries in style.css (generated from it by
+ * `npm run build:css`) and every JS helper that needs to know about breakpoints (responsive props,
+ * useBreakpoint, useMediaQuery, Show/Hide). Apps change the scale with configureBreakpoints.
+ */
+
+/** Default minimum viewport width in px of each named breakpoint, smallest first */
+export const DEFAULT_BREAKPOINTS = Object.freeze({
+  sm: 640,
+  md: 768,
+  lg: 1024,
+  xl: 1280,
+  '2xl': 1536
+});
+
+/** Minimum viewport width in px of each named breakpoint, smallest first (the configured scale) */
+export let BREAKPOINTS = DEFAULT_BREAKPOINTS;
+
+/** Names of the configured breakpoints, smallest first */
+export let BREAKPOINT_KEYS = Object.keys(BREAKPOINTS);
+
+/**
+ * Merges breakpoint overrides into the default scale and sorts the result by width
+ * @param {Object} [overrides] - Widths in px by breakpoint name, e.g. { md: 800, '3xl': 1920 }
+ * @returns {Object} - Frozen breakpoint scale
+ */
+export const resolveBreakpoints = (overrides = {}) => {
+  const merged = { ...DEFAULT_BREAKPOINTS };
+
+  Object.keys(overrides).forEach((name) => {
+    const width = overrides[name];
+    if (name === 'base') {
+      throw new Error('"base" is reserved for the smallest screens and can\'t be used as a breakpoint name');
+    }
+    if (!/^[a-z0-9-]+$/i.test(name)) {
+      throw new Error(`Invalid breakpoint name "${name}", use letters, digits and dashes only`);
+    }
+    if (typeof width !== 'number' || !Number.isFinite(width) || width <= 0) {
+      throw new Error(`Breakpoint "${name}" needs a positive width in px, got ${width}`);
+    }
+    merged[name] = width;
+  });
+
+  const sorted = {};
+  Object.keys(merged)
+    .sort((a, b) => merged[a] - merged[b])
+    .forEach((name) => {
+      sorted[name] = merged[name];
+    });
+
+  return Object.freeze(sorted);
+};
+
+/**
+ * Replaces the scale read by the JS helpers. Use configureBreakpoints, which also updates the CSS.
+ * @param {Object} breakpoints - Result of resolveBreakpoints
+ */
+export const setBreakpoints = (breakpoints) => {
+  BREAKPOINTS = breakpoints;
+  BREAKPOINT_KEYS = Object.keys(breakpoints);
+};
+
+/**
+ * Name of the widest breakpoint a width reaches, 'base' below the smallest one
+ * @param {number} width - Width in px, e.g. of a container
+ * @returns {string}
+ */
+export const getBreakpointForWidth = (width) => BREAKPOINT_KEYS.reduce(
+  (active, breakpoint) => (width >= BREAKPOINTS[breakpoint] ? breakpoint : active),
+  'base'
+);
+
+const getWidth = (breakpoint) => {
+  const width = BREAKPOINTS[breakpoint];
+  if (width === undefined) {
+    throw new Error(`Unknown breakpoint "${breakpoint}", expected one of: ${BREAKPOINT_KEYS.join(', ')}`);
+  }
+  return width;
+};
+
+/**
+ * Media query matching the breakpoint and everything wider, e.g. '(min-width: 768px)'
+ * @param {string} breakpoint - Breakpoint name
+ * @returns {string}
+ */
+export const getMinWidthQuery = (breakpoint) => `(min-width: ${getWidth(breakpoint)}px)`;
+
+/**
+ * Media query matching everything narrower than the breakpoint, e.g. '(max-width: 767.98px)'
+ * (.02px below the min-width so the two never overlap on fractional viewport widths)
+ * @param {string} breakpoint - Breakpoint name
+ * @returns {string}
+ */
+export const getMaxWidthQuery = (breakpoint) => `(max-width: ${getWidth(breakpoint) - 0.02}px)`;
+
+/**
+ * Media query for a range of breakpoints
+ * @param {Object} range - { above, below }, either may be omitted
+ * @param {string} [range.above] - From this breakpoint up
+ * @param {string} [range.below] - Narrower than this breakpoint
+ * @returns {string}
+ */
+export const getBreakpointQuery = ({ above, below } = {}) => [
+  above && getMinWidthQuery(above),
+  below && getMaxWidthQuery(below)
+].filter(Boolean).join(' and ') || 'all';
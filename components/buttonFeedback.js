@@ -0,0 +1,51 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+
+/**
+ * useButtonFeedback - Timed success/error feedback for ResponsiveButton
+ *
+ * Only one feedback is shown at a time. Showing another one restarts the timer and replaces the
+ * current feedback without completing it, cancel() ends it early, and unmounting clears the timer.
+ *
+ * @param {Object} options - Configuration options
+ * @param {number} options.duration - How long the feedback stays, in ms
+ * @param {Function} [options.onComplete] - Called with 'success' or 'error' when the feedback runs out
+ * @returns {Object} - { feedback, show, cancel } where feedback is null or { type, message }
+ */
+export const useButtonFeedback = ({ duration, onComplete }) => {
+  const [feedback, setFeedback] = useState(null);
+  const timerRef = useRef(null);
+
+  // Read when the timer fires, so it never calls a stale callback
+  const optionsRef = useRef({ duration, onComplete });
+  optionsRef.current = { duration, onComplete };
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  const controls = useMemo(() => {
+    const cancel = () => {
+      clearTimeout(timerRef.current);
+      timerRef.current = null;
+      setFeedback(null);
+    };
+
+    /**
+     * Shows feedback, replacing any that is already showing
+     * @param {'success'|'error'} type - Feedback type
+     * @param {React.ReactNode} [message] - Content to show instead of the button's own message
+     */
+    const show = (type, message) => {
+      clearTimeout(timerRef.current);
+      setFeedback({ type, message });
+
+      timerRef.current = setTimeout(() => {
+        timerRef.current = null;
+        setFeedback(null);
+        if (optionsRef.current.onComplete) optionsRef.current.onComplete(type);
+      }, optionsRef.current.duration);
+    };
+
+    return { show, cancel };
+  }, []);
+
+  return { feedback, ...controls };
+};
@@ -0,0 +1,92 @@
+import { useMemo, useState } from 'react';
+import { getBreakpointForWidth } from './breakpoints.js';
+import { useIsomorphicLayoutEffect } from './isomorphicLayoutEffect.js';
+
+/**
+ * containerQuery - Breakpoints that follow a container instead of the viewport
+ *
+ * Components with `responsiveTo="container"` size themselves by the inline size of the nearest
+ * ancestor query container: an element with the `rnp-query-container` class (ResponsiveContainer's
+ * `queryContainer` prop, modals and drawers). style.css handles it with container queries;
+ * where they aren't supported, a ResizeObserver measures the container instead.
+ */
+
+/** Class that turns an element into a query container (`container-type: inline-size`) */
+export const QUERY_CONTAINER_CLASS = 'rnp-query-container';
+
+/**
+ * Whether the browser supports size container queries
+ * @returns {boolean}
+ */
+export const supportsContainerQueries = () => (
+  typeof CSS !== 'undefined' && typeof CSS.supports === 'function' && CSS.supports('container-type', 'inline-size')
+);
+
+/**
+ * useContainerBreakpoint - The breakpoint reached by the nearest query container, measured in JS
+ *
+ * @param {React.RefObject} ref - Element inside the container (the element itself doesn't count)
+ * @param {boolean} [enabled=true] - Measure at all
+ * @returns {string|null} - Breakpoint name, 'base', or null while not measured (server, first render, disabled)
+ */
+export const useContainerBreakpoint = (ref, enabled = true) => {
+  const [breakpoint, setBreakpoint] = useState(null);
+
+  useIsomorphicLayoutEffect(() => {
+    if (!enabled) {
+      setBreakpoint(null);
+      return undefined;
+    }
+
+    // Like a container query, start looking above the element itself
+    const element = ref.current;
+    const container = element && element.parentElement
+      ? element.parentElement.closest(`.${QUERY_CONTAINER_CLASS}`)
+      : null;
+
+    // Without a query container the container queries never match either
+    if (!container) {
+      setBreakpoint('base');
+      return undefined;
+    }
+
+    const measure = (width) => setBreakpoint(getBreakpointForWidth(width));
+    const { paddingLeft, paddingRight } = window.getComputedStyle(container);
+    measure(container.clientWidth - (parseFloat(paddingLeft) || 0) - (parseFloat(paddingRight) || 0));
+    if (typeof ResizeObserver === 'undefined') return undefined;
+
+    const observer = new ResizeObserver(([entry]) => measure(entry.contentRect.width));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [enabled, ref]);
+
+  return breakpoint;
+};
+
+/**
+ * useResponsiveTarget - What a component's breakpoint classes respond to
+ *
+ * Returns the `target` argument of responsiveClasses: nothing for the viewport, `{ container: true }`
+ * for native container queries (also on the server and the first client render, so hydration
+ * matches), or `{ breakpoint }` with the breakpoint of the measured container in the fallback.
+ *
+ * @param {React.RefObject} ref - The component's root element
+ * @param {'viewport'|'container'} responsiveTo - The component's responsiveTo prop
+ * @returns {Object|undefined}
+ */
+export const useResponsiveTarget = (ref, responsiveTo) => {
+  const isContainer = responsiveTo === 'container';
+  // Only measured when container queries aren't supported
+  const [needsFallback, setNeedsFallback] = useState(false);
+
+  useIsomorphicLayoutEffect(() => {
+    setNeedsFallback(isContainer && !supportsContainerQueries());
+  }, [isContainer]);
+
+  const measuredBreakpoint = useContainerBreakpoint(ref, needsFallback);
+
+  return useMemo(() => {
+    if (!isContainer) return undefined;
+    return measuredBreakpoint === null ? { container: true } : { breakpoint: measuredBreakpoint };
+  }, [isContainer, measuredBreakpoint]);
+};
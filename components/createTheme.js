@@ -0,0 +1,88 @@
+const TOKEN_PREFIX = '--rnp';
+
+const toKebabCase = (key) => String(key)
+  .replace(/\./g, '-')
+  .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+  .toLowerCase();
+
+const flattenTokens = (tokens, prefix, vars) => {
+  Object.keys(tokens).forEach((key) => {
+    const value = tokens[key];
+    if (value === undefined || value === null || value === false) return;
+
+    if (String(key).startsWith('--')) {
+      vars[key] = String(value);
+      return;
+    }
+
+    const name = `${prefix}-${toKebabCase(key)}`;
+
+    if (typeof value === 'object') {
+      flattenTokens(value, name, vars);
+    } else {
+      vars[name] = String(value);
+    }
+  });
+
+  return vars;
+};
+
+/**
+ * createTheme - Turns a design token object into the `--rnp-*` CSS custom properties read by style.css
+ *
+ * Tokens are grouped the same way as the variables: `color`, `radius`, `shadow`, `space`, `dark` and `toggle`.
+ * camelCase keys become kebab-case (`primaryStrong` -> `--rnp-color-primary-strong`), nested objects are joined
+ * with dashes (`{ gray: { 500: '#…' } }` -> `--rnp-color-gray-500`) and dots become dashes (`'1.5'` -> `--rnp-space-1-5`).
+ * Keys that already start with `--` are passed through untouched.
+ *
+ * @param {Object} tokens - Token overrides, only the values you set are emitted
+ * @param {Object} [options] - Configuration options
+ * @param {string} [options.selector=':root'] - Selector the generated CSS is scoped to
+ * @returns {{ vars: Object, css: string, selector: string }} - `vars` works as an inline `style`, `css` as a stylesheet
+ *
+ * @example
+ * const brand = createTheme({
+ *   color: { primary: '#e11d48', primaryStrong: '#be123c' },
+ *   radius: { md: '0' }
+ * });
+ *
+ * <ResponsiveContainer style={brand.vars}>…</ResponsiveContainer>
+ * // or: <style>{brand.css}</style>
+ */
+export const createTheme = (tokens = {}, { selector = ':root' } = {}) => {
+  const vars = flattenTokens(tokens, TOKEN_PREFIX, {});
+  const declarations = Object.keys(vars)
+    .map((name) => `  ${name}: ${vars[name]};`)
+    .join('\n');
+
+  return {
+    vars,
+    css: declarations ? `${selector} {\n${declarations}\n}` : '',
+    selector
+  };
+};
+
+/**
+ * injectTheme - Adds (or updates) a <style> element holding a createTheme result
+ *
+ * Safe to call during server rendering - it does nothing without a document.
+ *
+ * @param {{ css: string }} theme - Result of createTheme
+ * @param {string} [id='rnp-theme-tokens'] - id of the <style> element, use different ids for several scoped themes
+ * @returns {Function} - Removes the injected styles
+ */
+export const injectTheme = (theme, id = 'rnp-theme-tokens') => {
+  if (typeof document === 'undefined') return () => {};
+
+  let style = document.getElementById(id);
+  if (!style) {
+    style = document.createElement('style');
+    style.id = id;
+    document.head.appendChild(style);
+  }
+  style.textContent = theme.css;
+
+  return () => {
+    if (style.parentNode) style.parentNode.removeChild(style);
+  };
+};
@@ -0,0 +1,141 @@
+import { useEffect, useMemo, useRef } from 'react';
+
+/**
+ * dialogStore - Promise-based confirm/alert dialogs rendered by <DialogHost />
+ *
+ * confirm() and alert() can be called from anywhere (event handlers, async code, outside React).
+ * Each call queues a dialog, DialogHost renders the queue and the returned promise resolves
+ * with the user's choice once the dialog is closed.
+ */
+
+let dialogs = [];
+let nextDialogId = 0;
+const listeners = new Set();
+
+const emit = () => {
+  listeners.forEach((listener) => listener(dialogs));
+};
+
+// Value a dialog resolves with when dismissed through Escape or the backdrop
+const DISMISS_VALUES = {
+  confirm: false,
+  alert: undefined
+};
+
+// A bare string is the message; null and undefined mean no options
+const normalizeOptions = (options) => {
+  if (options == null) return {};
+  return typeof options === 'string' ? { message: options } : options;
+};
+
+// Without a mounted DialogHost, fall back to the browser's own dialogs rather than never resolving
+const openNativeDialog = (type, { title, message }) => {
+  if (typeof window === 'undefined') return DISMISS_VALUES[type];
+
+  const text = [title, message].filter((part) => typeof part === 'string').join('\n\n');
+  if (type === 'confirm') return window.confirm(text);
+  window.alert(text);
+  return undefined;
+};
+
+const openDialog = (type, options) => {
+  const id = ++nextDialogId;
+
+  if (listeners.size === 0) {
+    return { id, promise: Promise.resolve(openNativeDialog(type, options)) };
+  }
+
+  const promise = new Promise((resolve) => {
+    dialogs = [...dialogs, { id, type, options, open: true, resolve }];
+    emit();
+  });
+  return { id, promise };
+};
+
+/**
+ * Resolves a dialog and starts its exit animation, DialogHost removes it afterwards
+ * @param {number} id - Dialog id
+ * @param {*} [value] - Resolved value, defaults to the dismiss value for the dialog type
+ */
+export const closeDialog = (id, value) => {
+  const dialog = dialogs.find((entry) => entry.id === id);
+  if (!dialog || !dialog.open) return;
+
+  dialogs = dialogs.map((entry) => (entry.id === id ? { ...entry, open: false } : entry));
+  emit();
+  dialog.resolve(value === undefined ? DISMISS_VALUES[dialog.type] : value);
+};
+
+/** Drops a closed dialog once its exit animation has finished */
+export const removeDialog = (id) => {
+  dialogs = dialogs.filter((entry) => entry.id !== id);
+  emit();
+};
+
+/**
+ * Subscribes to the dialog queue
+ * @param {Function} listener - Receives the current dialogs on every change
+ * @returns {Function} - Unsubscribes
+ */
+export const subscribeDialogs = (listener) => {
+  listeners.add(listener);
+  listener(dialogs);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * confirm - Asks the user to confirm an action
+ *
+ * @param {Object|string} options - Dialog options, or just the message
+ * @param {React.ReactNode} [options.title] - Dialog heading
+ * @param {React.ReactNode} [options.message] - Dialog body
+ * @param {string} [options.confirmLabel='Confirm'] - Confirm button text
+ * @param {string} [options.cancelLabel='Cancel'] - Cancel button text
+ * @param {string} [options.confirmVariant] - ResponsiveButton variant of the confirm button ('danger' when destructive, otherwise 'primary')
+ * @param {string} [options.cancelVariant='outline'] - ResponsiveButton variant of the cancel button
+ * @param {boolean} [options.destructive=false] - Marks the action as destructive
+ * @param {'sm'|'md'|'lg'|'xl'|'full'} [options.size='sm'] - Modal size
+ * @param {boolean} [options.closeOnBackdrop=true] - Whether clicking the backdrop cancels
+ * @returns {Promise<boolean>} - true when confirmed, false when cancelled or dismissed
+ *
+ * @example
+ * if (await confirm({ title: 'Delete project?', message: "This can't be undone.", destructive: true })) {
+ *   deleteProject();
+ * }
+ */
+export const confirm = (options) => openDialog('confirm', normalizeOptions(options)).promise;
+
+/**
+ * alert - Shows a message with a single acknowledge button
+ *
+ * @param {Object|string} options - Same options as confirm (without the cancel button), or just the message
+ * @param {string} [options.confirmLabel='OK'] - Button text
+ * @returns {Promise<void>} - Resolves once the dialog is closed
+ */
+export const alert = (options) => openDialog('alert', normalizeOptions(options)).promise;
+
+/**
+ * useDialog - confirm/alert bound to a component
+ *
+ * Works like the standalone functions, but dialogs still open when the component
+ * unmounts are dismissed, so their promises settle instead of hanging.
+ *
+ * @returns {{ confirm: Function, alert: Function }}
+ */
+export const useDialog = () => {
+  const openIdsRef = useRef(new Set());
+
+  useEffect(() => () => {
+    openIdsRef.current.forEach((id) => closeDialog(id));
+  }, []);
+
+  return useMemo(() => {
+    const track = (type) => (options) => {
+      const { id, promise } = openDialog(type, normalizeOptions(options));
+      openIdsRef.current.add(id);
+      return promise.finally(() => openIdsRef.current.delete(id));
+    };
+
+    return { confirm: track('confirm'), alert: track('alert') };
+  }, []);
+};
@@ -0,0 +1,105 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * drawerSwipe - Swipe-to-dismiss for ResponsiveContainer drawers
+ *
+ * Dragging the drawer towards the edge it's attached to follows the finger, releasing it
+ * far or fast enough closes the drawer, anything else snaps it back.
+ */
+
+// Fraction of the drawer size that has to be dragged to close it
+const CLOSE_DISTANCE_RATIO = 0.35;
+// Flick speed (px/ms) that closes the drawer regardless of distance
+const CLOSE_VELOCITY = 0.5;
+// Movement (px) before we decide between a swipe and a scroll
+const DIRECTION_LOCK_DISTANCE = 8;
+
+const HORIZONTAL = ['left', 'right'];
+
+/**
+ * useDrawerSwipe - Attaches touch listeners to a drawer element
+ *
+ * @param {React.RefObject<HTMLElement>} ref - The drawer element
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.enabled - Whether swiping is active
+ * @param {'left'|'right'|'top'|'bottom'} options.placement - Edge the drawer is attached to
+ * @param {Function} [options.onClose] - Called when a swipe should close the drawer
+ */
+export const useDrawerSwipe = (ref, { enabled, placement, onClose }) => {
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const drawer = ref.current;
+    if (!enabled || !drawer) return undefined;
+
+    const isHorizontal = HORIZONTAL.includes(placement);
+    // Dragging towards the attached edge is negative for left/top and positive for right/bottom
+    const closeSign = placement === 'left' || placement === 'top' ? -1 : 1;
+    let gesture = null;
+
+    const setOffset = (offset) => {
+      drawer.style.transform = offset
+        ? `translate${isHorizontal ? 'X' : 'Y'}(${offset}px)`
+        : '';
+    };
+
+    const handleTouchStart = (e) => {
+      if (e.touches.length !== 1) return;
+      const touch = e.touches[0];
+      gesture = { startX: touch.clientX, startY: touch.clientY, startTime: Date.now(), offset: 0, locked: null };
+    };
+
+    const handleTouchMove = (e) => {
+      if (!gesture) return;
+      const touch = e.touches[0];
+      const deltaX = touch.clientX - gesture.startX;
+      const deltaY = touch.clientY - gesture.startY;
+
+      if (gesture.locked === null) {
+        if (Math.abs(deltaX) < DIRECTION_LOCK_DISTANCE && Math.abs(deltaY) < DIRECTION_LOCK_DISTANCE) return;
+        // A drag across the drawer's axis is a scroll, leave it alone
+        gesture.locked = (Math.abs(deltaX) > Math.abs(deltaY)) === isHorizontal;
+        if (gesture.locked) drawer.classList.add('responsive-container--drawer-dragging');
+      }
+      if (!gesture.locked) return;
+
+      const delta = isHorizontal ? deltaX : deltaY;
+      // Only follow the finger towards the edge, never past the open position
+      gesture.offset = delta * closeSign > 0 ? delta : 0;
+      setOffset(gesture.offset);
+    };
+
+    const handleTouchEnd = () => {
+      if (!gesture) return;
+      const { offset, startTime, locked } = gesture;
+      gesture = null;
+      if (!locked) return;
+
+      drawer.classList.remove('responsive-container--drawer-dragging');
+      const size = isHorizontal ? drawer.offsetWidth : drawer.offsetHeight;
+      const distance = Math.abs(offset);
+      const velocity = distance / Math.max(Date.now() - startTime, 1);
+
+      if (onCloseRef.current && (distance > size * CLOSE_DISTANCE_RATIO || velocity > CLOSE_VELOCITY)) {
+        // Keep the dragged position, the exit animation continues from there
+        onCloseRef.current();
+      } else {
+        setOffset(0);
+      }
+    };
+
+    drawer.addEventListener('touchstart', handleTouchStart, { passive: true });
+    drawer.addEventListener('touchmove', handleTouchMove, { passive: true });
+    drawer.addEventListener('touchend', handleTouchEnd);
+    drawer.addEventListener('touchcancel', handleTouchEnd);
+
+    return () => {
+      drawer.removeEventListener('touchstart', handleTouchStart);
+      drawer.removeEventListener('touchmove', handleTouchMove);
+      drawer.removeEventListener('touchend', handleTouchEnd);
+      drawer.removeEventListener('touchcancel', handleTouchEnd);
+      drawer.classList.remove('responsive-container--drawer-dragging');
+    };
+  }, [ref, enabled, placement]);
+};
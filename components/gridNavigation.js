@@ -0,0 +1,133 @@
+/**
+ * gridNavigation - Arrow-key movement for ResponsiveGrid's `navigable` mode
+ *
+ * A CSS grid has no row elements, and spans, named areas, dense packing and masonry all place items
+ * out of row-major order. So up and down go to the nearest item above or below on screen, measured
+ * from the items' boxes when a key is pressed. Left and right follow reading (DOM) order.
+ */
+
+/** Attribute marking the children of a navigable grid */
+export const GRID_ITEM_ATTRIBUTE = 'data-grid-item';
+
+// Elements inside an item that handle clicks and keys themselves
+const CONTROL_SELECTOR = [
+  'a[href]',
+  'button',
+  'input',
+  'select',
+  'textarea',
+  'label',
+  'summary',
+  '[contenteditable]:not([contenteditable="false"])',
+  '[role="button"]',
+  '[role="link"]',
+  '[role="checkbox"]',
+  '[role="switch"]',
+  '[tabindex]'
+].join(',');
+
+/**
+ * Whether an event on an item came from a control inside it rather than the item itself
+ * @param {Event} e - Event handled on the item (`currentTarget`)
+ * @returns {boolean}
+ */
+export const isFromItemControl = (e) => {
+  const control = e.target.closest ? e.target.closest(CONTROL_SELECTOR) : null;
+  return control !== null && control !== e.currentTarget && e.currentTarget.contains(control);
+};
+
+/**
+ * Number of rows PageUp and PageDown move: as many as fit in the viewport
+ * @param {HTMLElement} item - The focused item
+ * @returns {number}
+ */
+export const getPageRows = (item) => {
+  const { height } = item.getBoundingClientRect();
+  return height > 0 ? Math.max(1, Math.floor(window.innerHeight / height)) : 1;
+};
+
+const getOverlap = (a, b) => Math.min(a.right, b.right) - Math.max(a.left, b.left);
+
+// Nearest item directly above (direction -1) or below (1) the one at `index`, or `index` itself.
+// Items count when they share some horizontal space with it; the closest edge wins, then the
+// widest overlap. Without a layout (every box empty) the grid is taken as plain rows of `columns`.
+const getVerticalNeighbour = (rects, index, direction, columns) => {
+  const current = rects[index];
+  if (current.width === 0 && current.height === 0) {
+    const next = index + direction * columns;
+    return next >= 0 && next < rects.length ? next : index;
+  }
+
+  let best = index;
+  let bestDistance = Infinity;
+  let bestOverlap = 0;
+  rects.forEach((rect, candidate) => {
+    const overlap = getOverlap(rect, current);
+    if (candidate === index || overlap <= 0) return;
+
+    // 1px of tolerance for sub-pixel layouts without a gap
+    const distance = direction > 0 ? rect.top - current.bottom : current.top - rect.bottom;
+    if (distance < -1) return;
+
+    if (distance < bestDistance - 0.5 || (Math.abs(distance - bestDistance) <= 0.5 && overlap > bestOverlap)) {
+      best = candidate;
+      bestDistance = distance;
+      bestOverlap = overlap;
+    }
+  });
+  return best;
+};
+
+/**
+ * Index an arrow, Home, End, PageUp or PageDown key moves focus to
+ *
+ * Left and right move through the items in reading order, up and down to the item above or below
+ * and stop at the edges, as in the ARIA grid pattern. In right-to-left grids left and right are swapped.
+ *
+ * @param {KeyboardEvent} e - The keydown event
+ * @param {Object} layout - Where focus is and how the items are laid out
+ * @param {number} layout.index - Index of the focused item
+ * @param {HTMLElement[]} layout.items - The grid's items in DOM order
+ * @param {number} layout.columns - Columns of the grid, used where the items can't be measured (no layout engine)
+ * @param {number} layout.pageRows - Rows moved by PageUp and PageDown
+ * @param {boolean} [layout.rtl] - Whether the grid is right to left
+ * @returns {number|null} - null when the key doesn't move focus
+ */
+export const getKeyboardTarget = (e, { index, items, columns, pageRows, rtl = false }) => {
+  const last = items.length - 1;
+  const forward = rtl ? 'ArrowLeft' : 'ArrowRight';
+  const backward = rtl ? 'ArrowRight' : 'ArrowLeft';
+
+  const moveVertically = (direction, steps) => {
+    const rects = items.map((item) => item.getBoundingClientRect());
+    let target = index;
+    for (let step = 0; step < steps; step += 1) {
+      const next = getVerticalNeighbour(rects, target, direction, columns);
+      if (next === target) break;
+      target = next;
+    }
+    return target;
+  };
+
+  switch (e.key) {
+    case forward:
+      return Math.min(index + 1, last);
+    case backward:
+      return Math.max(index - 1, 0);
+    case 'ArrowDown':
+      return moveVertically(1, 1);
+    case 'ArrowUp':
+      return moveVertically(-1, 1);
+    // As far as a page of rows goes, staying in the column
+    case 'PageDown':
+      return moveVertically(1, pageRows);
+    case 'PageUp':
+      return moveVertically(-1, pageRows);
+    case 'Home':
+      return 0;
+    case 'End':
+      return last;
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,9 @@
+import { useEffect, useLayoutEffect } from 'react';
+
+/**
+ * useIsomorphicLayoutEffect - useLayoutEffect in the browser, useEffect on the server
+ *
+ * For effects that measure or change the DOM before the first paint. React warns about
+ * useLayoutEffect during server rendering, where neither effect runs anyway.
+ */
+export const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
@@ -0,0 +1,181 @@
+import { useState } from 'react';
+import { useIsomorphicLayoutEffect } from './isomorphicLayoutEffect.js';
+
+/**
+ * masonry - Fallback for ResponsiveGrid's `layout="masonry"`
+ *
+ * Browsers with CSS masonry (`grid-template-rows: masonry`) lay the items out natively. Elsewhere the
+ * grid switches to 1px rows and the items are placed in JS, like native masonry does: in DOM order,
+ * each one in the column that is shortest so far, spanning as many rows as it is tall. Heights are
+ * measured again with a ResizeObserver. The DOM order doesn't change, so neither does the tab order.
+ */
+
+/** Custom property holding the number of 1px rows an item spans in the fallback */
+export const MASONRY_SPAN_PROPERTY = '--rnp-masonry-span';
+
+/**
+ * Whether the browser lays out masonry grids natively
+ * @returns {boolean}
+ */
+export const supportsNativeMasonry = () => (
+  typeof CSS !== 'undefined' && typeof CSS.supports === 'function' && CSS.supports('grid-template-rows', 'masonry')
+);
+
+// The fallback grid has no row gap (it would add up over the 1px rows); the column gap is
+// added to each item's span instead, so the vertical spacing matches the horizontal one
+const getRowGap = (grid) => parseFloat(window.getComputedStyle(grid).columnGap) || 0;
+
+// Columns the grid has right now; auto-fit tracks collapsed to 0px don't count
+const getColumnCount = (grid) => (
+  (window.getComputedStyle(grid).gridTemplateColumns || '')
+    .replace(/\[[^\]]*\]/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter((track) => parseFloat(track) > 0)
+    .length
+);
+
+// Items whose start column was set by the fallback, as opposed to by the item itself
+const placedItems = new WeakSet();
+
+// Start column (0-based) the item asks for itself (GridItem colStart, colSpan="full"), or null,
+// and how many columns it spans, at most the whole grid. The fallback's own inline start is
+// taken off while reading, so it doesn't count as the item's.
+const getColumnPlacement = (item, columns) => {
+  const placedStart = placedItems.has(item) ? item.style.getPropertyValue('grid-column-start') : '';
+  if (placedStart) item.style.removeProperty('grid-column-start');
+  const { gridColumnStart, gridColumnEnd } = window.getComputedStyle(item);
+  if (placedStart) item.style.setProperty('grid-column-start', placedStart);
+
+  const startLine = parseInt(gridColumnStart, 10);
+  const start = startLine > 0 ? Math.min(startLine, columns) - 1 : null;
+
+  // 'span 2', or an end line such as -1 (the last line, for full-width items)
+  const spanMatch = /span\s+(\d+)/.exec(gridColumnEnd || '');
+  const endLine = parseInt(gridColumnEnd, 10);
+  let width = 1;
+  if (spanMatch) {
+    width = Number(spanMatch[1]);
+  } else if (endLine && start !== null) {
+    width = (endLine < 0 ? columns + 2 + endLine : endLine) - 1 - start;
+  } else if (endLine < 0) {
+    width = columns;
+  }
+
+  width = Math.min(Math.max(width, 1), columns);
+  return { start: start === null ? null : Math.min(start, columns - width), width };
+};
+
+const setStyle = (item, property, value) => {
+  if (item.style.getPropertyValue(property) !== value) item.style.setProperty(property, value);
+};
+
+/**
+ * Places the items of a fallback masonry grid, each in the shortest column(s) so far
+ * @param {HTMLElement} grid - The grid element
+ */
+const layoutMasonry = (grid) => {
+  const items = Array.from(grid.children);
+  const gap = getRowGap(grid);
+  const columns = getColumnCount(grid);
+
+  // Read every size before writing, so the browser lays out once
+  const spans = items.map((item) => Math.max(1, Math.ceil(item.getBoundingClientRect().height + gap)));
+  const placements = items.map((item) => (columns > 0 ? getColumnPlacement(item, columns) : null));
+
+  // Filled height of each column, in 1px rows
+  const heights = new Array(Math.max(columns, 1)).fill(0);
+
+  items.forEach((item, index) => {
+    setStyle(item, MASONRY_SPAN_PROPERTY, String(spans[index]));
+    // Without a readable layout the items keep their automatic placement
+    if (columns === 0) return;
+
+    const { start, width } = placements[index];
+    let column = start;
+    let top;
+
+    if (start !== null) {
+      // Items placed in a column of their own stay there, below what fills it so far
+      top = Math.max(...heights.slice(start, start + width));
+      if (placedItems.has(item)) {
+        item.style.removeProperty('grid-column-start');
+        placedItems.delete(item);
+      }
+    } else {
+      // Otherwise the leftmost position where the item's columns are least filled
+      top = Infinity;
+      for (let candidate = 0; candidate + width <= columns; candidate += 1) {
+        const filled = Math.max(...heights.slice(candidate, candidate + width));
+        if (filled < top) {
+          column = candidate;
+          top = filled;
+        }
+      }
+      setStyle(item, 'grid-column-start', String(column + 1));
+      placedItems.add(item);
+    }
+
+    setStyle(item, 'grid-row-start', String(top + 1));
+    heights.fill(top + spans[index], column, column + width);
+  });
+};
+
+/**
+ * useMasonryFallback - Balances a masonry grid in JS where CSS masonry isn't supported
+ *
+ * @param {React.RefObject} ref - The grid element
+ * @param {boolean} enabled - Whether the grid uses the masonry layout
+ * @returns {boolean} - Whether the fallback is active (false on the server and the first render)
+ */
+export const useMasonryFallback = (ref, enabled) => {
+  const [isFallback, setIsFallback] = useState(false);
+
+  useIsomorphicLayoutEffect(() => {
+    setIsFallback(enabled && !supportsNativeMasonry());
+  }, [enabled]);
+
+  useIsomorphicLayoutEffect(() => {
+    const grid = ref.current;
+    if (!isFallback || !grid) return undefined;
+
+    const items = () => Array.from(grid.children);
+    const cleanUp = () => items().forEach((item) => {
+      item.style.removeProperty(MASONRY_SPAN_PROPERTY);
+      if (placedItems.has(item)) item.style.removeProperty('grid-column-start');
+      placedItems.delete(item);
+      item.style.removeProperty('grid-row-start');
+    });
+
+    // Lay out before the first paint, then again whenever an item (or the grid's width) changes.
+    // Every item's place depends on the ones before it, so the whole grid is laid out each time.
+    layoutMasonry(grid);
+    if (typeof ResizeObserver === 'undefined') return cleanUp;
+
+    const resizeObserver = new ResizeObserver(() => layoutMasonry(grid));
+    resizeObserver.observe(grid);
+    items().forEach((item) => resizeObserver.observe(item));
+
+    // Items added or removed later
+    const mutationObserver = new MutationObserver((records) => {
+      layoutMasonry(grid);
+      records.forEach((record) => {
+        record.addedNodes.forEach((node) => {
+          if (node.nodeType === 1) resizeObserver.observe(node);
+        });
+        record.removedNodes.forEach((node) => {
+          if (node.nodeType === 1) resizeObserver.unobserve(node);
+        });
+      });
+    });
+    mutationObserver.observe(grid, { childList: true });
+
+    return () => {
+      resizeObserver.disconnect();
+      mutationObserver.disconnect();
+      cleanUp();
+    };
+  }, [isFallback, ref]);
+
+  return isFallback;
+};
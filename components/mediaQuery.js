@@ -0,0 +1,129 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { BREAKPOINTS, BREAKPOINT_KEYS, getMinWidthQuery } from './breakpoints.js';
+
+/**
+ * mediaQuery - Shared matchMedia listeners for useMediaQuery and useBreakpoint
+ *
+ * Each distinct query gets one MediaQueryList and one change listener, however many components
+ * watch it. The listener is removed again when the last subscriber unsubscribes.
+ */
+
+const canMatchMedia = () => typeof window !== 'undefined' && typeof window.matchMedia === 'function';
+
+// query -> { list, subscribers }
+const queries = new Map();
+
+const getMediaQueryList = (query) => {
+  const entry = queries.get(query);
+  return entry ? entry.list : window.matchMedia(query);
+};
+
+/**
+ * Subscribes to changes of a media query
+ * @param {string} query - Media query
+ * @param {Function} subscriber - Called whenever the query starts or stops matching
+ * @returns {Function} - Unsubscribes
+ */
+export const subscribeMediaQuery = (query, subscriber) => {
+  if (!canMatchMedia()) return () => {};
+
+  let entry = queries.get(query);
+  if (!entry) {
+    const list = window.matchMedia(query);
+    const subscribers = new Set();
+    const handleChange = () => subscribers.forEach((notify) => notify());
+    list.addEventListener('change', handleChange);
+    entry = { list, subscribers, handleChange };
+    queries.set(query, entry);
+  }
+
+  entry.subscribers.add(subscriber);
+
+  return () => {
+    entry.subscribers.delete(subscriber);
+    if (entry.subscribers.size === 0) {
+      entry.list.removeEventListener('change', entry.handleChange);
+      queries.delete(query);
+    }
+  };
+};
+
+/**
+ * Whether a media query currently matches (false where matchMedia isn't available)
+ * @param {string} query - Media query
+ * @returns {boolean}
+ */
+export const matchesMediaQuery = (query) => canMatchMedia() && getMediaQueryList(query).matches;
+
+/**
+ * useMediaQuery - Whether a media query matches, updated as it changes
+ *
+ * On the server and during hydration it returns `defaultValue`, so server and client markup match.
+ *
+ * @param {string} query - Media query, e.g. '(prefers-reduced-motion: reduce)'
+ * @param {Object} [options] - Configuration options
+ * @param {boolean} [options.defaultValue=false] - Value used on the server
+ * @returns {boolean}
+ *
+ * @example
+ * const isLandscape = useMediaQuery('(orientation: landscape)');
+ */
+export const useMediaQuery = (query, { defaultValue = false } = {}) => {
+  const subscribe = useCallback((notify) => subscribeMediaQuery(query, notify), [query]);
+
+  return useSyncExternalStore(
+    subscribe,
+    () => matchesMediaQuery(query),
+    () => defaultValue
+  );
+};
+
+// Widest breakpoint first, so the first match is the active one. Rebuilt when configureBreakpoints
+// replaces the scale.
+let breakpointQueries = { scale: null, queries: [] };
+
+const getBreakpointQueries = () => {
+  if (breakpointQueries.scale !== BREAKPOINTS) {
+    breakpointQueries = {
+      scale: BREAKPOINTS,
+      queries: BREAKPOINT_KEYS
+        .map((breakpoint) => ({ breakpoint, query: getMinWidthQuery(breakpoint) }))
+        .reverse()
+    };
+  }
+  return breakpointQueries.queries;
+};
+
+const subscribeBreakpoint = (notify) => {
+  const unsubscribers = getBreakpointQueries().map(({ query }) => subscribeMediaQuery(query, notify));
+  return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+};
+
+/**
+ * Name of the widest breakpoint the viewport currently reaches, 'base' below the smallest one
+ * @returns {string}
+ */
+export const getCurrentBreakpoint = () => {
+  const active = getBreakpointQueries().find(({ query }) => matchesMediaQuery(query));
+  return active ? active.breakpoint : 'base';
+};
+
+/**
+ * useBreakpoint - The active breakpoint of the package's scale
+ *
+ * Returns 'base', 'sm', 'md', 'lg', 'xl' or '2xl' (plus any configured tiers), the same keys as
+ * breakpoint-keyed props.
+ *
+ * @param {Object} [options] - Configuration options
+ * @param {string} [options.defaultBreakpoint='base'] - Value used on the server and during hydration
+ * @returns {string}
+ *
+ * @example
+ * const breakpoint = useBreakpoint();
+ * return breakpoint === 'base' ? <MobileNav /> : <DesktopNav />;
+ */
+export const useBreakpoint = ({ defaultBreakpoint = 'base' } = {}) => useSyncExternalStore(
+  subscribeBreakpoint,
+  getCurrentBreakpoint,
+  () => defaultBreakpoint
+);
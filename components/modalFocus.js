@@ -0,0 +1,104 @@
+/**
+ * modalFocus - DOM helpers behind the accessible modal mode of ResponsiveContainer
+ *
+ * getFocusableElements finds the tab stops inside the dialog (for the focus trap) and
+ * hideOutside marks everything around the dialog inert so screen readers and the mouse
+ * can only reach the modal while it's open.
+ */
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  'audio[controls]',
+  'video[controls]',
+  '[contenteditable]:not([contenteditable="false"])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+// Elements that never render content, hiding them would only add noise
+const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'LINK', 'META'];
+
+const isVisible = (element) => (
+  element.getClientRects().length > 0 || element === document.activeElement
+);
+
+/**
+ * Lists the keyboard-focusable elements inside a container, in DOM (tab) order
+ * @param {HTMLElement} container - Element to search
+ * @returns {HTMLElement[]} - Focusable, visible, non-inert elements
+ */
+export const getFocusableElements = (container) => {
+  if (!container) return [];
+
+  return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter((element) => (
+    !element.closest('[inert]') && isVisible(element)
+  ));
+};
+
+/**
+ * Focuses an element without scrolling the page behind the modal
+ * @returns {boolean} - Whether focus actually moved to the element
+ */
+export const focusElement = (element) => {
+  if (!element || typeof element.focus !== 'function') return false;
+
+  try {
+    element.focus({ preventScroll: true });
+  } catch (error) {
+    element.focus();
+  }
+  return document.activeElement === element;
+};
+
+const setAttribute = (element, name, value) => {
+  if (value === null) {
+    element.removeAttribute(name);
+  } else {
+    element.setAttribute(name, value);
+  }
+};
+
+/**
+ * Makes every element outside `element` inert and hidden from assistive technology
+ *
+ * Walks from the element up to <body> and hides the siblings at each level, so the
+ * element's own ancestors stay reachable. Previous attribute values are restored on cleanup,
+ * which keeps nested calls (a modal opened from a modal) working when undone in reverse order.
+ *
+ * @param {HTMLElement} element - Element that must stay interactive
+ * @returns {Function} - Restores the previous state
+ */
+export const hideOutside = (element) => {
+  if (typeof document === 'undefined' || !element) return () => {};
+
+  const hidden = [];
+  let current = element;
+
+  while (current && current !== document.body && current.parentNode) {
+    Array.from(current.parentNode.children).forEach((sibling) => {
+      if (sibling === current || SKIPPED_TAGS.includes(sibling.tagName)) return;
+
+      hidden.push({
+        element: sibling,
+        inert: sibling.getAttribute('inert'),
+        ariaHidden: sibling.getAttribute('aria-hidden')
+      });
+      sibling.setAttribute('inert', '');
+      sibling.setAttribute('aria-hidden', 'true');
+    });
+
+    current = current.parentNode;
+  }
+
+  return () => {
+    hidden.forEach(({ element: sibling, inert, ariaHidden }) => {
+      setAttribute(sibling, 'inert', inert);
+      setAttribute(sibling, 'aria-hidden', ariaHidden);
+    });
+  };
+};
@@ -0,0 +1,93 @@
+/**
+ * modalStack - Shared bookkeeping for every open ResponsiveContainer modal
+ *
+ * Open modals register themselves in a stack so that only the top one reacts to Escape,
+ * backdrop clicks and focus changes. Body scroll locking is reference counted: the page is
+ * locked when the first modal opens and restored when the last one closes.
+ */
+
+const modalStack = [];
+
+const handleKeyDown = (e) => {
+  if (e.key !== 'Escape') return;
+
+  const top = modalStack[modalStack.length - 1];
+  if (top && top.onEscape) top.onEscape(e);
+};
+
+/**
+ * Adds a modal to the top of the stack
+ * @param {{ onEscape?: Function }} entry - Modal entry, compared by identity
+ * @returns {Function} - Removes the entry (wherever it is in the stack)
+ */
+export const registerModal = (entry) => {
+  if (typeof document === 'undefined') return () => {};
+
+  if (modalStack.length === 0) {
+    document.addEventListener('keydown', handleKeyDown);
+  }
+  modalStack.push(entry);
+
+  return () => {
+    const index = modalStack.indexOf(entry);
+    if (index !== -1) modalStack.splice(index, 1);
+
+    if (modalStack.length === 0) {
+      document.removeEventListener('keydown', handleKeyDown);
+    }
+  };
+};
+
+/** Whether the entry is the most recently opened modal that is still open */
+export const isTopModal = (entry) => modalStack[modalStack.length - 1] === entry;
+
+/** CSS variable set on <html> while scrolling is locked, for fixed headers that need the same offset */
+export const SCROLLBAR_WIDTH_VARIABLE = '--rnp-scrollbar-width';
+
+let scrollLockCount = 0;
+let savedBodyStyles = null;
+
+/**
+ * Prevents the page behind the modals from scrolling
+ *
+ * Hiding the scrollbar makes the page wider, so the body gets extra right padding
+ * matching the scrollbar width to stop the content from shifting.
+ *
+ * @returns {Function} - Releases this lock, the page scrolls again once every lock is released
+ */
+export const lockBodyScroll = () => {
+  if (typeof document === 'undefined') return () => {};
+
+  const { body, documentElement } = document;
+
+  if (scrollLockCount === 0) {
+    const scrollbarWidth = window.innerWidth - documentElement.clientWidth;
+
+    savedBodyStyles = {
+      overflow: body.style.overflow,
+      paddingRight: body.style.paddingRight
+    };
+
+    if (scrollbarWidth > 0) {
+      const paddingRight = parseFloat(window.getComputedStyle(body).paddingRight) || 0;
+      body.style.paddingRight = `${paddingRight + scrollbarWidth}px`;
+    }
+    documentElement.style.setProperty(SCROLLBAR_WIDTH_VARIABLE, `${Math.max(scrollbarWidth, 0)}px`);
+    body.style.overflow = 'hidden';
+  }
+  scrollLockCount += 1;
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    scrollLockCount -= 1;
+
+    if (scrollLockCount === 0 && savedBodyStyles) {
+      body.style.overflow = savedBodyStyles.overflow;
+      body.style.paddingRight = savedBodyStyles.paddingRight;
+      documentElement.style.removeProperty(SCROLLBAR_WIDTH_VARIABLE);
+      savedBodyStyles = null;
+    }
+  };
+};
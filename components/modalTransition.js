@@ -0,0 +1,84 @@
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * modalTransition - Enter/exit state machine for ResponsiveContainer modals
+ *
+ * exited -> entering -> entered -> exiting -> exited
+ *
+ * The modal stays mounted until the exit animation has finished, the CSS classes for each
+ * state (see "Modal animations" in style.css) drive the actual keyframes.
+ */
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/** Default animation durations in milliseconds */
+export const DEFAULT_MODAL_DURATION = { enter: 200, exit: 150 };
+
+/**
+ * Whether the user asked the OS to minimize animations
+ * @returns {boolean}
+ */
+export const prefersReducedMotion = () => (
+  typeof window !== 'undefined' &&
+  typeof window.matchMedia === 'function' &&
+  window.matchMedia(REDUCED_MOTION_QUERY).matches
+);
+
+/**
+ * Normalizes the `modalDuration` prop
+ * @param {number|{ enter?: number, exit?: number }} duration - One duration for both directions, or one each
+ * @returns {{ enter: number, exit: number }}
+ */
+export const resolveModalDuration = (duration) => {
+  if (typeof duration === 'number') return { enter: duration, exit: duration };
+  return { ...DEFAULT_MODAL_DURATION, ...duration };
+};
+
+/**
+ * useModalTransition - Tracks the transition state of a modal
+ *
+ * @param {boolean} open - Whether the modal should be open
+ * @param {Object} options - Configuration options
+ * @param {boolean} [options.animate=true] - false skips straight to entered/exited
+ * @param {{ enter: number, exit: number }} options.duration - Animation durations in milliseconds
+ * @param {Function} [options.onAfterOpen] - Called once the enter animation has finished
+ * @param {Function} [options.onAfterClose] - Called once the exit animation has finished
+ * @returns {'entering'|'entered'|'exiting'|'exited'} - Current state, the modal should render unless 'exited'
+ */
+export const useModalTransition = (open, { animate = true, duration, onAfterOpen, onAfterClose }) => {
+  const [status, setStatus] = useState('exited');
+  const statusRef = useRef(status);
+  statusRef.current = status;
+
+  // Read at the end of each transition, so changing them mid-animation doesn't restart it
+  const optionsRef = useRef({});
+  optionsRef.current = { animate, duration, onAfterOpen, onAfterClose };
+
+  useEffect(() => {
+    const options = optionsRef.current;
+    const skipAnimation = !options.animate || prefersReducedMotion();
+
+    const finish = (nextStatus, callbackName) => {
+      setStatus(nextStatus);
+      const callback = optionsRef.current[callbackName];
+      if (callback) callback();
+    };
+
+    if (open) {
+      setStatus('entering');
+      const timer = setTimeout(() => finish('entered', 'onAfterOpen'), skipAnimation ? 0 : options.duration.enter);
+      return () => clearTimeout(timer);
+    }
+
+    // Nothing to close on the initial render
+    if (statusRef.current === 'exited') return undefined;
+
+    setStatus('exiting');
+    const timer = setTimeout(() => finish('exited', 'onAfterClose'), skipAnimation ? 0 : options.duration.exit);
+    return () => clearTimeout(timer);
+  }, [open]);
+
+  // The effect runs after the first open render, report 'entering' right away so the enter keyframes apply on first paint
+  if (open && status === 'exited') return 'entering';
+  return status;
+};
@@ -0,0 +1,156 @@
+import { BREAKPOINT_KEYS } from './breakpoints.js';
+
+/**
+ * responsiveProps - Breakpoint-keyed prop values
+ *
+ * Layout props accept either a plain value or an object keyed by breakpoint, e.g.
+ * `{ base: 'column', md: 'row' }`. `base` applies to every screen size and each breakpoint
+ * key from its min-width up (sm 640px, md 768px, lg 1024px, xl 1280px, 2xl 1536px by default, see
+ * configureBreakpoints), matching the mobile-first media queries in style.css.
+ */
+
+const isSet = (value) => value !== undefined && value !== null && value !== false;
+
+/**
+ * Whether a prop value is a breakpoint object rather than a plain value
+ * @param {*} value - Prop value
+ * @returns {boolean}
+ */
+export const isResponsiveValue = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+);
+
+/**
+ * Returns the value for the smallest screens
+ * @param {*} value - Plain value or breakpoint object
+ * @param {*} [fallback] - Used when there is no base value
+ * @returns {*}
+ */
+export const getBaseValue = (value, fallback) => {
+  const base = isResponsiveValue(value) ? value.base : value;
+  return isSet(base) ? base : fallback;
+};
+
+/**
+ * Whether a value is used at any breakpoint
+ * @param {*} value - Plain value or breakpoint object
+ * @param {*} candidate - Value to look for
+ * @returns {boolean}
+ */
+export const hasResponsiveValue = (value, candidate) => (
+  isResponsiveValue(value) ? Object.values(value).includes(candidate) : value === candidate
+);
+
+/**
+ * Merges the legacy smX/mdX/... props of a component into one breakpoint object.
+ * Keys of an object `value` win over the legacy props.
+ * @param {*} value - Plain value or breakpoint object
+ * @param {Object} legacy - Breakpoint values from separate props, e.g. { sm: smCols, md: mdCols }
+ * @returns {Object}
+ */
+export const mergeResponsiveValue = (value, legacy) => {
+  const merged = { ...legacy, ...(isResponsiveValue(value) ? value : { base: value }) };
+  Object.keys(merged).forEach((key) => {
+    if (!isSet(merged[key])) delete merged[key];
+  });
+  return merged;
+};
+
+/**
+ * The value in effect at a breakpoint: the one of the widest key up to and including it
+ * @param {*} value - Plain value or breakpoint object
+ * @param {string} breakpoint - Breakpoint name, or 'base'
+ * @param {*} [fallback] - Used when there is no base value
+ * @returns {*}
+ */
+export const resolveResponsiveValue = (value, breakpoint, fallback) => {
+  if (!isResponsiveValue(value)) return value;
+
+  let resolved = getBaseValue(value, fallback);
+  const reached = BREAKPOINT_KEYS.slice(0, BREAKPOINT_KEYS.indexOf(breakpoint) + 1);
+  reached.forEach((key) => {
+    if (isSet(value[key])) resolved = value[key];
+  });
+  return resolved;
+};
+
+/**
+ * Builds the BEM classes for a responsive prop: `block--suffix` for the base value and
+ * `block--{breakpoint}-suffix` for every breakpoint.
+ *
+ * With `target.container` the breakpoint classes are `block--cq-{breakpoint}-suffix`, which
+ * style.css applies through container queries. With `target.breakpoint` (a container measured
+ * in JS) the value in effect at that breakpoint is returned as a plain class.
+ *
+ * @param {string} block - Block class, e.g. 'responsive-container'
+ * @param {*} value - Plain value or breakpoint object
+ * @param {Function} [format] - Turns a value into the class suffix, e.g. (gap) => `gap-${gap}`
+ * @param {*} [fallback] - Base value when a breakpoint object has none
+ * @param {Object} [target] - What the breakpoints respond to (default: the viewport), see useResponsiveTarget
+ * @returns {string[]}
+ *
+ * @example
+ * responsiveClasses('button', { base: 'sm', md: 'lg' }, (size) => `size-${size}`);
+ * // ['button--size-sm', 'button--md-size-lg']
+ */
+export const responsiveClasses = (block, value, format = String, fallback, target = {}) => {
+  if (target.breakpoint !== undefined) {
+    return responsiveClasses(block, resolveResponsiveValue(value, target.breakpoint, fallback), format);
+  }
+
+  if (!isResponsiveValue(value)) {
+    return isSet(value) ? [`${block}--${format(value)}`] : [];
+  }
+
+  const prefix = target.container ? 'cq-' : '';
+  const base = getBaseValue(value, fallback);
+  const classes = isSet(base) ? [`${block}--${format(base)}`] : [];
+  BREAKPOINT_KEYS.forEach((breakpoint) => {
+    if (isSet(value[breakpoint])) classes.push(`${block}--${prefix}${breakpoint}-${format(value[breakpoint])}`);
+  });
+  return classes;
+};
+
+/**
+ * Builds classes and custom properties for a responsive prop with free-form values (templates,
+ * area names) that can't be listed as classes: `block--suffix` reads `--rnp-{property}` and
+ * `block--{breakpoint}-suffix` reads `--rnp-{property}-{breakpoint}`.
+ *
+ * @param {string} block - Block class, e.g. 'responsive-grid'
+ * @param {string} suffix - Class suffix, e.g. 'areas'
+ * @param {string} property - Custom property name without `--rnp-`, e.g. 'grid-areas'
+ * @param {*} value - Plain value or breakpoint object
+ * @param {Function} [format] - Turns a value into the CSS value
+ * @param {Object} [target] - What the breakpoints respond to, as for responsiveClasses
+ * @returns {{ classes: string[], style: Object }}
+ *
+ * @example
+ * responsiveVars('responsive-grid', 'rows', 'grid-rows', { base: 'auto', md: 'auto 1fr' });
+ * // { classes: ['responsive-grid--rows', 'responsive-grid--md-rows'],
+ * //   style: { '--rnp-grid-rows': 'auto', '--rnp-grid-rows-md': 'auto 1fr' } }
+ */
+export const responsiveVars = (block, suffix, property, value, format = String, target = {}) => {
+  if (target.breakpoint !== undefined) {
+    return responsiveVars(block, suffix, property, resolveResponsiveValue(value, target.breakpoint), format);
+  }
+
+  const classes = [];
+  const style = {};
+  const add = (className, name, entry) => {
+    if (!isSet(entry)) return;
+    classes.push(className);
+    style[name] = format(entry);
+  };
+
+  if (!isResponsiveValue(value)) {
+    add(`${block}--${suffix}`, `--rnp-${property}`, value);
+    return { classes, style };
+  }
+
+  const prefix = target.container ? 'cq-' : '';
+  add(`${block}--${suffix}`, `--rnp-${property}`, value.base);
+  BREAKPOINT_KEYS.forEach((breakpoint) => {
+    add(`${block}--${prefix}${breakpoint}-${suffix}`, `--rnp-${property}-${breakpoint}`, value[breakpoint]);
+  });
+  return { classes, style };
+};
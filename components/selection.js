@@ -0,0 +1,78 @@
+import { useState } from 'react';
+
+/**
+ * selection - Selection and roving focus shared by ToggleButtonGroup and navigable ResponsiveGrids
+ *
+ * Both render a set of items identified by a value, select one or several of them, and are a single
+ * tab stop that stays on the item the user last focused.
+ */
+
+export const isDevelopment = typeof process !== 'undefined' && process.env && process.env.NODE_ENV !== 'production';
+
+/**
+ * Runs an item's own handler, then the added one unless the item's handler prevented the default
+ * @param {Function} [own] - The item's handler
+ * @param {Function} added - The group's handler
+ * @returns {Function}
+ */
+export const composeHandlers = (own, added) => (e, ...args) => {
+  const result = own ? own(e, ...args) : undefined;
+  if (!e.defaultPrevented) added(e);
+  return result;
+};
+
+/**
+ * Value of the item that gets tabIndex 0: the last focused, else the first selected, else the first item
+ * @param {*} focusedValue - Value of the last focused item
+ * @param {Array} selectedValues - Selected values
+ * @param {Array} values - Values of the items that can be focused
+ * @returns {*}
+ */
+export const getTabStop = (focusedValue, selectedValues, values) => (
+  [focusedValue, ...selectedValues, values[0]].find((candidate) => values.includes(candidate))
+);
+
+/**
+ * useSelection - Controlled or uncontrolled single or multiple selection
+ *
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.multiple - Whether several values can be selected
+ * @param {*} options.value - Selected value (single) or array of values (multiple), for controlled selection
+ * @param {*} options.defaultValue - Initially selected value(s) of uncontrolled selection
+ * @param {Function} options.onChange - Receives the new selection (null, a value or an array) and the event
+ * @param {boolean} [options.required=false] - Keep at least one value selected
+ * @returns {{ selectedValues: Array, toggle: Function, setSelection: Function }}
+ */
+export const useSelection = ({ multiple, value, defaultValue, onChange, required = false }) => {
+  const isControlled = value !== undefined;
+  const [internalValue, setInternalValue] = useState(
+    defaultValue !== undefined ? defaultValue : (multiple ? [] : null)
+  );
+
+  const currentValue = isControlled ? value : internalValue;
+  const selectedValues = multiple
+    ? (Array.isArray(currentValue) ? currentValue : [])
+    : (currentValue === null || currentValue === undefined ? [] : [currentValue]);
+
+  const setSelection = (nextValue, e) => {
+    if (!isControlled) setInternalValue(nextValue);
+    if (onChange) onChange(nextValue, e);
+  };
+
+  const toggle = (itemValue, e) => {
+    const isSelected = selectedValues.includes(itemValue);
+
+    if (multiple) {
+      const nextValue = isSelected
+        ? selectedValues.filter((entry) => entry !== itemValue)
+        : [...selectedValues, itemValue];
+      if (required && nextValue.length === 0) return;
+      setSelection(nextValue, e);
+    } else {
+      if (isSelected && required) return;
+      setSelection(isSelected ? null : itemValue, e);
+    }
+  };
+
+  return { selectedValues, toggle, setSelection };
+};
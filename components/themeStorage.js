@@ -0,0 +1,145 @@
+/**
+ * themeStorage - Storage adapters used to persist the user's theme preference
+ *
+ * Every adapter exposes the same shape: { get(key), set(key, value), remove(key), subscribe?(key, callback) }.
+ * Adapters returned by resolveThemeStorage never throw - private browsing, disabled cookies,
+ * sandboxed iframes and server rendering all degrade to "nothing stored".
+ */
+
+/** Default storage key used by the dark mode hooks */
+export const DEFAULT_THEME_STORAGE_KEY = 'rnp-theme';
+
+const noop = () => {};
+
+// One year, in seconds
+const COOKIE_MAX_AGE = 60 * 60 * 24 * 365;
+
+const createWebStorage = (type) => ({
+  get: (key) => window[type].getItem(key),
+  set: (key, value) => window[type].setItem(key, value),
+  remove: (key) => window[type].removeItem(key),
+  subscribe: (key, callback) => {
+    // The storage event only fires in *other* tabs, which is exactly what we want for syncing
+    const handleStorage = (e) => {
+      if (e.key === key && e.storageArea === window[type]) {
+        callback(e.newValue);
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }
+});
+
+const cookieStorage = {
+  get: (key) => {
+    const prefix = `${encodeURIComponent(key)}=`;
+    const match = document.cookie
+      .split('; ')
+      .find((cookie) => cookie.startsWith(prefix));
+    return match ? decodeURIComponent(match.slice(prefix.length)) : null;
+  },
+  set: (key, value) => {
+    document.cookie = `${encodeURIComponent(key)}=${encodeURIComponent(value)}; path=/; max-age=${COOKIE_MAX_AGE}; SameSite=Lax`;
+  },
+  remove: (key) => {
+    document.cookie = `${encodeURIComponent(key)}=; path=/; max-age=0; SameSite=Lax`;
+  }
+};
+
+const getAdapter = (persist) => {
+  if (!persist) return null;
+
+  // Custom { get, set } adapter
+  if (typeof persist === 'object') return persist;
+
+  switch (persist) {
+    case true:
+    case 'localStorage':
+      return createWebStorage('localStorage');
+    case 'sessionStorage':
+      return createWebStorage('sessionStorage');
+    case 'cookie':
+      return cookieStorage;
+    default:
+      return null;
+  }
+};
+
+/**
+ * resolveThemeStorage - Turns a `persist` option into a safe storage adapter
+ *
+ * @param {boolean|'localStorage'|'sessionStorage'|'cookie'|Object} persist - Storage to use (`true` means localStorage),
+ *   or a custom adapter { get(key), set(key, value), remove?(key), subscribe?(key, callback) }
+ * @returns {Object|null} - Wrapped adapter, or null when persistence is disabled
+ */
+export const resolveThemeStorage = (persist) => {
+  const adapter = getAdapter(persist);
+  if (!adapter) return null;
+
+  const isBrowser = typeof window !== 'undefined';
+
+  return {
+    get: (key) => {
+      if (!isBrowser) return null;
+      try {
+        const value = adapter.get(key);
+        return value === undefined ? null : value;
+      } catch (error) {
+        return null;
+      }
+    },
+    set: (key, value) => {
+      if (!isBrowser) return;
+      try {
+        adapter.set(key, value);
+      } catch (error) {
+        // Quota exceeded or storage blocked - keep the in-memory value only
+      }
+    },
+    remove: (key) => {
+      if (!isBrowser) return;
+      try {
+        if (adapter.remove) {
+          adapter.remove(key);
+        } else {
+          adapter.set(key, null);
+        }
+      } catch (error) {
+        // Nothing to clean up if storage is unavailable
+      }
+    },
+    subscribe: (key, callback) => {
+      if (!isBrowser || !adapter.subscribe) return noop;
+      try {
+        return adapter.subscribe(key, callback) || noop;
+      } catch (error) {
+        return noop;
+      }
+    }
+  };
+};
+
+/**
+ * Validates a raw stored value
+ * @returns {'light'|'dark'|'system'|null} - null for missing or unknown values
+ */
+export const parseStoredThemeMode = (value) => {
+  if (value === 'light' || value === 'dark' || value === 'system') return value;
+  return null;
+};
+
+/**
+ * Reads the persisted theme mode
+ * @returns {'light'|'dark'|'system'|null} - null when nothing (valid) is stored
+ */
+export const readStoredThemeMode = (storage, key) => {
+  if (!storage) return null;
+  return parseStoredThemeMode(storage.get(key));
+};
+
+/** Persists a theme mode ('light' | 'dark' | 'system') */
+export const writeStoredThemeMode = (storage, key, mode) => {
+  if (!storage) return;
+  storage.set(key, mode);
+};
@@ -1,5 +1,20 @@
 import React from 'react';
 
+/**
+ * Extra breakpoint names added with configureBreakpoints. Declare them through module augmentation:
+ * `declare module 'responsive-reusable-package' { interface CustomBreakpoints { '3xl': true } }`
+ */
+export interface CustomBreakpoints {}
+
+/** Breakpoints of the mobile-first media queries in style.css (sm 640px, md 768px, lg 1024px, xl 1280px, 2xl 1536px by default) */
+export type Breakpoint = 'sm' | 'md' | 'lg' | 'xl' | '2xl' | Extract<keyof CustomBreakpoints, string>;
+
+/**
+ * A prop value, or an object with a value per breakpoint, e.g. `{ base: 'column', md: 'row' }`.
+ * `base` applies to all screen sizes, each breakpoint from its min-width up.
+ */
+export type Responsive<T> = T | ({ base?: T } & { [K in Breakpoint]?: T });
+
 /**
  * ResponsiveContainer - A flexible container component that adapts to different screen sizes
  * Uses custom CSS classes instead of Tailwind CSS
@@ -20,28 +35,32 @@ export interface ResponsiveContainerProps extends React.HTMLAttributes<HTMLDivEl
   /** Whether to add responsive margin */
   margin?: boolean;
   /** Custom horizontal padding */
-  paddingX?: '1' | '2' | '4' | '6' | '8' | '12' | '16';
+  paddingX?: Responsive<'1' | '2' | '4' | '6' | '8' | '12' | '16'>;
   /** Custom vertical padding */
-  paddingY?: '1' | '2' | '4' | '6' | '8' | '12' | '16';
+  paddingY?: Responsive<'1' | '2' | '4' | '6' | '8' | '12' | '16'>;
   /** Custom horizontal margin */
   marginX?: '1' | '2' | '4' | '6' | '8' | '12' | '16';
   /** Custom vertical margin */
   marginY?: '1' | '2' | '4' | '6' | '8' | '12' | '16';
   /** Layout type for children */
-  layout?: 'stack' | 'grid' | 'flex';
+  layout?: Responsive<'stack' | 'grid' | 'flex'>;
   /** Gap between child elements (only applies to flex and grid layouts) */
-  gap?: '1' | '2' | '4' | '6' | '8';
+  gap?: Responsive<'1' | '2' | '4' | '6' | '8'>;
   /** Text alignment for child elements */
   textAlign?: 'left' | 'center' | 'right' | 'justify';
   /** Flex align-items property (for flex layout) */
-  alignItems?: 'start' | 'center' | 'end' | 'stretch' | 'baseline';
+  alignItems?: Responsive<'start' | 'center' | 'end' | 'stretch' | 'baseline'>;
   /** Flex justify-content property (for flex layout) */
-  justifyContent?: 'start' | 'center' | 'end' | 'between' | 'around' | 'evenly';
+  justifyContent?: Responsive<'start' | 'center' | 'end' | 'between' | 'around' | 'evenly'>;
   /** Flex direction (for flex layout) */
-  flexDirection?: 'row' | 'column' | 'row-reverse' | 'column-reverse';
+  flexDirection?: Responsive<'row' | 'column' | 'row-reverse' | 'column-reverse'>;
   /** Flex wrap property (for flex layout) */
-  flexWrap?: 'nowrap' | 'wrap' | 'wrap-reverse';
-  /** Dark mode background variants */
+  flexWrap?: Responsive<'nowrap' | 'wrap' | 'wrap-reverse'>;
+  /** Whether breakpoint objects follow the viewport or the nearest query container (default: 'viewport') */
+  responsiveTo?: 'viewport' | 'container';
+  /** Make this element a query container for responsiveTo="container" descendants (modals and drawers always are) */
+  queryContainer?: boolean;
+  /** Dark mode background variants (defaults to the ThemeProvider's dark mode) */
   darkBackground?: boolean;
   /** Whether to render as a modal */
   modal?: boolean;
@@ -59,6 +78,38 @@ export interface ResponsiveContainerProps extends React.HTMLAttributes<HTMLDivEl
   modalPosition?: 'center' | 'top' | 'bottom';
   /** Whether to blur the backdrop */
   modalBlurBackdrop?: boolean;
+  /** ARIA role of the modal (default: 'dialog') */
+  modalRole?: 'dialog' | 'alertdialog';
+  /** id of the element that labels the modal (sets aria-labelledby) */
+  modalTitleId?: string;
+  /** id of the element that describes the modal (sets aria-describedby) */
+  modalDescriptionId?: string;
+  /** Element to focus when the modal opens (default: first focusable element) */
+  initialFocusRef?: React.RefObject<HTMLElement>;
+  /** Restore focus to the trigger on close, or to the given element (default: true) */
+  returnFocus?: boolean | React.RefObject<HTMLElement>;
+  /** Render the modal in a portal instead of in place (default: true) */
+  modalPortal?: boolean;
+  /** Portal target, or a function returning it (default: document.body) */
+  modalContainer?: HTMLElement | null | (() => HTMLElement | null);
+  /** Enter/exit animation, slide follows modalPosition (default: 'fade') */
+  modalAnimation?: 'fade' | 'scale' | 'slide' | 'none';
+  /** Animation duration(s) in ms (default: { enter: 200, exit: 150 }) */
+  modalDuration?: number | { enter?: number; exit?: number };
+  /** Called once the modal has finished animating in */
+  onAfterOpen?: () => void;
+  /** Called once the modal has finished animating out and unmounted */
+  onAfterClose?: () => void;
+  /** Render as a drawer sliding in from a screen edge (uses the modal props for open/close) */
+  drawer?: boolean;
+  /** Edge the drawer is attached to (default: 'right') */
+  drawerPlacement?: 'left' | 'right' | 'top' | 'bottom';
+  /** Drawer width (left/right) or height (top/bottom): a preset or any CSS length (default: 'md') */
+  drawerSize?: 'sm' | 'md' | 'lg' | 'xl' | 'full' | (string & {});
+  /** Push the page content aside instead of covering it */
+  drawerPush?: boolean;
+  /** Close the drawer by swiping it towards its edge on touch devices (default: true) */
+  drawerSwipeToClose?: boolean;
 }
 
 /**
@@ -70,7 +121,7 @@ export interface ResponsiveGridProps extends React.HTMLAttributes<HTMLDivElement
   /** Additional CSS classes */
   className?: string;
   /** Number of columns (default breakpoint) */
-  cols?: number;
+  cols?: Responsive<number>;
   /** Number of columns on small screens */
   smCols?: number;
   /** Number of columns on medium screens */
@@ -80,42 +131,212 @@ export interface ResponsiveGridProps extends React.HTMLAttributes<HTMLDivElement
   /** Number of columns on extra large screens */
   xlCols?: number;
   /** Gap between grid items */
-  gap?: '1' | '2' | '4' | '6' | '8' | '10' | '12';
+  gap?: Responsive<'1' | '2' | '4' | '6' | '8' | '10' | '12'>;
+  /** 'masonry' packs variable-height items into the columns; native CSS masonry where supported, a JS fallback elsewhere (default: 'grid') */
+  layout?: 'grid' | 'masonry';
   /** Vertical alignment of grid items */
   alignItems?: 'start' | 'center' | 'end' | 'stretch';
-  /** Horizontal alignment of grid items */
+  /** Horizontal alignment of grid items (default: 'start', 'between' for masonry) */
   justifyItems?: 'start' | 'center' | 'end' | 'between';
   /** Whether to use auto-fit instead of explicit columns */
   autoFit?: boolean;
   /** Minimum size for auto-fit columns */
   autoFitSize?: 'sm' | 'md' | 'lg';
+  /** Minimum column width for auto-fit, any CSS length (numbers are px); turns auto-fit on */
+  minItemWidth?: number | string;
+  /** Maximum column width for auto-fit (default: columns share the free space) */
+  maxItemWidth?: number | string;
+  /** Keep empty tracks instead of stretching the items of a short row; turns auto-fit on */
+  autoFill?: boolean;
+  /** Row template: a number of equal rows or a grid-template-rows value such as 'auto 1fr auto' */
+  rows?: Responsive<number | string>;
+  /** Named areas, one string per row (['header header', 'sidebar main']) or a grid-template-areas value */
+  areas?: Responsive<string | string[]>;
+  /** Backfill gaps left by spanning items (grid-auto-flow: row dense) */
+  dense?: boolean;
+  /** Whether the grid's and its items' breakpoints follow the viewport or the nearest query container (default: 'viewport') */
+  responsiveTo?: 'viewport' | 'container';
+  /** Make the children a listbox with one tab stop; arrow keys follow the grid's current columns */
+  navigable?: boolean;
+  /** Whether items of a navigable grid can be selected with click or Space (default: 'none') */
+  selectionMode?: 'none' | 'single' | 'multiple';
+  /** Selected item value (single) or values (multiple), for controlled selection. Items are identified by their `value` prop, or their index */
+  selection?: unknown;
+  /** Initially selected value(s) of uncontrolled selection */
+  defaultSelection?: unknown;
+  /** Receives the new selection (a value in single mode, an array in multiple mode) and the event */
+  onSelectionChange?: (selection: any, event: React.SyntheticEvent) => void;
+}
+
+type GridLine = 1 | 2 | 3 | 4 | 5 | 6 | 7 | 8 | 9 | 10 | 11 | 12;
+
+/**
+ * GridItem - Placement of one ResponsiveGrid child
+ */
+export interface GridItemProps extends React.HTMLAttributes<HTMLElement> {
+  children?: React.ReactNode;
+  /** HTML element to render (default: 'div') */
+  as?: React.ElementType;
+  /** Columns to span, 'full' for the whole row */
+  colSpan?: Responsive<GridLine | 'full'>;
+  /** Rows to span, 'full' for every explicit row */
+  rowSpan?: Responsive<1 | 2 | 3 | 4 | 5 | 6 | 'full'>;
+  /** Column line the item starts at */
+  colStart?: Responsive<GridLine | 'auto'>;
+  /** Visual order */
+  order?: Responsive<0 | GridLine | 'first' | 'last' | 'none'>;
+  /** Name of an area from the grid's `areas` */
+  area?: Responsive<string>;
+  /** Vertical alignment in the cell */
+  alignSelf?: 'start' | 'center' | 'end' | 'stretch';
+  /** Horizontal alignment in the cell */
+  justifySelf?: 'start' | 'center' | 'end' | 'stretch';
+  /** Identifies the item in a navigable grid's selection (not rendered) */
+  value?: unknown;
 }
 
-export interface ResponsiveButtonProps extends React.ButtonHTMLAttributes<HTMLButtonElement> {
+/**
+ * VirtualGrid - A grid that only mounts the rows in view
+ */
+export interface VirtualGridProps<T = unknown> extends Omit<React.HTMLAttributes<HTMLDivElement>, 'children'> {
+  /** Items to render */
+  items: readonly T[];
+  /** Renders one item */
+  renderItem: (item: T, index: number) => React.ReactNode;
+  /** Stable key of an item (default: its index) */
+  getItemKey?: (item: T, index: number) => React.Key;
+  /** Height of a row in px, without the gap */
+  rowHeight: number;
+  /** Number of columns (default breakpoint) */
+  cols?: Responsive<number>;
+  /** Number of columns on small screens */
+  smCols?: number;
+  /** Number of columns on medium screens */
+  mdCols?: number;
+  /** Number of columns on large screens */
+  lgCols?: number;
+  /** Number of columns on extra large screens */
+  xlCols?: number;
+  /** Gap between grid items */
+  gap?: Responsive<'1' | '2' | '4' | '6' | '8' | '10' | '12'>;
+  /** Rows rendered above and below the visible ones (default: 2) */
+  overscan?: number;
+  /** Element that scrolls the grid, or a ref to it (default: the window) */
+  scrollElement?: HTMLElement | React.RefObject<HTMLElement | null> | null;
+  /** Vertical alignment of grid items (default: 'stretch') */
+  alignItems?: 'start' | 'center' | 'end' | 'stretch';
+  /** Horizontal alignment of grid items (default: 'between') */
+  justifyItems?: 'start' | 'center' | 'end' | 'between';
+  /** Whether the columns follow the viewport or the nearest query container (default: 'viewport') */
+  responsiveTo?: 'viewport' | 'container';
+}
+
+/**
+ * Imperative handle of VirtualGrid, available through its ref
+ */
+export interface VirtualGridHandle {
+  /** Scrolls the row holding the item into view ('auto' only scrolls when it isn't fully visible; default: 'start') */
+  scrollToIndex(index: number, options?: { align?: 'start' | 'center' | 'end' | 'auto'; behavior?: ScrollBehavior }): void;
+}
+
+/** Action types registered out of the box */
+export type BuiltInActionType = 'send' | 'upload' | 'download' | 'delete' | 'edit' | 'save' | 'add' | 'copy' | 'share' | 'refresh' | 'search' | 'close';
+
+export interface ActionTypeDefinition {
+  /** Icon component (e.g. from lucide-react) or element */
+  icon?: React.ComponentType<{ size?: number | string }> | React.ReactElement;
+  /** Accessible name used by icon-only buttons without an aria-label */
+  label?: string;
+  /** Default button variant */
+  variant?: ResponsiveButtonProps['variant'];
+  /** Default success feedback */
+  successMessage?: React.ReactNode;
+  /** Default error feedback */
+  errorMessage?: React.ReactNode;
+}
+
+/**
+ * registerActionType - Adds or replaces an action type for ResponsiveButton's `actionType` prop.
+ * Returns a function that removes the registration.
+ */
+export declare function registerActionType(name: string, definition?: ActionTypeDefinition): () => void;
+
+/**
+ * getActionType - Looks up a registered action type (null when unknown)
+ */
+export declare function getActionType(name: string): ActionTypeDefinition | null;
+
+/**
+ * Imperative handle of ResponsiveButton, available through its ref
+ */
+export interface ResponsiveButtonHandle {
+  /** Shows the success feedback, restarting it if feedback is already showing */
+  flashSuccess(message?: React.ReactNode): void;
+  /** Shows the error feedback, restarting it if feedback is already showing */
+  flashError(message?: React.ReactNode): void;
+  /** Ends the feedback immediately, without calling onActionComplete */
+  reset(): void;
+  /** Focuses the button element */
+  focus(options?: FocusOptions): void;
+}
+
+export interface ResponsiveButtonProps extends Omit<React.ButtonHTMLAttributes<HTMLButtonElement>, 'onClick'> {
   /** Text or elements to display inside the button */
   children?: React.ReactNode;
+  /** Element or component to render instead of <button>, e.g. 'a' or a router Link */
+  as?: React.ElementType;
+  /** Renders an <a> (unless `as` is set) pointing to this URL */
+  href?: string;
+  /** Link target, for `href` and `as` links */
+  target?: string;
+  /** Link relationship, for `href` and `as` links */
+  rel?: string;
+  /** Destination of router Link components passed to `as` */
+  to?: unknown;
   /** Additional CSS classes */
   className?: string;
   /** Button style variant */
   variant?: 'primary' | 'secondary' | 'tertiary' | 'danger' | 'success' | 'warning' | 'info' | 'ghost' | 'outline';
   /** Button size variant */
-  size?: 'xs' | 'sm' | 'md' | 'lg' | 'xl';
+  size?: Responsive<'xs' | 'sm' | 'md' | 'lg' | 'xl'>;
   /** Button width behavior */
-  width?: 'auto' | 'full' | 'fit';
+  width?: Responsive<'auto' | 'full' | 'fit'>;
   /** Button border radius style */
   shape?: 'square' | 'rounded' | 'pill' | 'sharp';
   /** Whether the button is disabled */
   disabled?: boolean;
   /** Whether to show loading state */
   loading?: boolean;
-  /** Text to display while loading */
+  /** Text to display while loading (also shown while a promise returned by onClick is pending) */
   loadingText?: string;
+  /**
+   * Click handler. When it returns a promise the button shows its loading state until the promise
+   * settles, ignores further clicks meanwhile, then shows the success or error feedback.
+   * `signal` is aborted if the button unmounts while the promise is pending.
+   */
+  onClick?: (event: React.MouseEvent<HTMLElement>, context: { signal?: AbortSignal }) => void | Promise<unknown>;
+  /** Whether a settled onClick promise triggers the success/error feedback (default: true) */
+  asyncFeedback?: boolean;
+  /** Content shown during the success feedback */
+  successMessage?: React.ReactNode;
+  /** Content shown during the error feedback */
+  errorMessage?: React.ReactNode;
+  /** How long the success/error feedback is shown, in ms (default: 3000) */
+  feedbackDuration?: number;
+  /** Called with 'success' or 'error' once the feedback runs out (not when it is restarted or reset) */
+  onActionComplete?: (result: 'success' | 'error') => void;
+  /** Show the success feedback when this becomes true */
+  showSuccess?: boolean;
+  /** Show the error feedback when this becomes true */
+  showError?: boolean;
   /** Icon to display on the left side */
   leftIcon?: React.ReactNode;
   /** Icon to display on the right side */
   rightIcon?: React.ReactNode;
-  /** Whether this is an icon-only button */
+  /** Whether this is an icon-only button; it needs an aria-label unless its actionType provides one */
   iconOnly?: boolean;
+  /** Registered action type: sets the icon and default variant/feedback messages */
+  actionType?: BuiltInActionType | (string & {});
   /** Horizontal alignment of button content */
   justify?: 'start' | 'center' | 'end' | 'between' | 'around';
   /** Vertical alignment of button content */
@@ -142,7 +363,7 @@ export interface ResponsiveButtonProps extends React.ButtonHTMLAttributes<HTMLBu
   responsive?: boolean;
   /** Screen size at which responsive adjustments take effect */
   responsiveBreakpoint?: 'mobile' | 'tablet' | 'desktop';
-  /** Whether to use dark mode styling */
+  /** Whether to use dark mode styling (defaults to the ThemeProvider's dark mode) */
   darkMode?: boolean;
   /** Whether to add shadow/elevation effect */
   elevate?: boolean;
@@ -152,8 +373,6 @@ export interface ResponsiveButtonProps extends React.ButtonHTMLAttributes<HTMLBu
   ripple?: boolean;
   /** Milliseconds to debounce click events */
   debounceMs?: number;
-  /** Click event handler */
-  onClick?: (event: React.MouseEvent<HTMLButtonElement>) => void;
   /** Focus event handler */
   onFocus?: (event: React.FocusEvent<HTMLButtonElement>) => void;
   /** Blur event handler */
@@ -175,29 +394,35 @@ export interface ResponsiveTextProps extends React.HTMLAttributes<HTMLElement> {
   /** HTML element to render as */
   as?: 'h1' | 'h2' | 'h3' | 'h4' | 'h5' | 'h6' | 'p' | 'span' | 'div';
   /** Base font size */
-  size?: 'xs' | 'sm' | 'md' | 'lg' | 'xl' | '2xl' | '3xl' | '4xl' | '5xl' | '6xl';
+  size?: Responsive<'xs' | 'sm' | 'md' | 'lg' | 'xl' | '2xl' | '3xl' | '4xl' | '5xl' | '6xl'>;
   /** Font size on small screens */
   smSize?: 'xs' | 'sm' | 'md' | 'lg' | 'xl' | '2xl' | '3xl' | '4xl' | '5xl' | '6xl';
   /** Font size on medium screens */
   mdSize?: 'xs' | 'sm' | 'md' | 'lg' | 'xl' | '2xl' | '3xl' | '4xl' | '5xl' | '6xl';
   /** Font size on large screens */
   lgSize?: 'xs' | 'sm' | 'md' | 'lg' | 'xl' | '2xl' | '3xl' | '4xl' | '5xl' | '6xl';
+  /** Font size on extra large screens */
+  xlSize?: 'xs' | 'sm' | 'md' | 'lg' | 'xl' | '2xl' | '3xl' | '4xl' | '5xl' | '6xl';
   /** Font weight */
   weight?: 'thin' | 'light' | 'normal' | 'medium' | 'semibold' | 'bold' | 'extrabold' | 'black';
   /** Text alignment (base) */
-  align?: 'left' | 'center' | 'right' | 'justify';
+  align?: Responsive<'left' | 'center' | 'right' | 'justify'>;
   /** Text alignment on small screens */
   smAlign?: 'left' | 'center' | 'right' | 'justify';
   /** Text alignment on medium screens */
   mdAlign?: 'left' | 'center' | 'right' | 'justify';
   /** Text alignment on large screens */
   lgAlign?: 'left' | 'center' | 'right' | 'justify';
+  /** Text alignment on extra large screens */
+  xlAlign?: 'left' | 'center' | 'right' | 'justify';
   /** Line height */
   leading?: 'tight' | 'snug' | 'normal' | 'relaxed' | 'loose';
   /** Text color in light mode */
   color?: 'gray-50' | 'gray-100' | 'gray-200' | 'gray-300' | 'gray-400' | 'gray-500' | 'gray-600' | 'gray-700' | 'gray-800' | 'gray-900' | 'white' | 'black';
   /** Text color in dark mode */
   darkColor?: 'gray-50' | 'gray-100' | 'gray-200' | 'gray-300' | 'gray-400' | 'gray-500' | 'gray-600' | 'gray-700' | 'gray-800' | 'gray-900' | 'white' | 'black';
+  /** Whether to use darkColor (defaults to the ThemeProvider's dark mode) */
+  darkMode?: boolean;
   /** Horizontal padding */
   paddingX?: '1' | '2' | '4' | '6' | '8' | '12' | '16';
   /** Vertical padding */
@@ -210,14 +435,22 @@ export interface ResponsiveTextProps extends React.HTMLAttributes<HTMLElement> {
   className?: string;
 }
 
+/** Theme mode - 'system' follows the OS color scheme */
+export type ThemeMode = 'light' | 'dark' | 'system';
+
+/** Theme that is actually shown */
+export type ResolvedTheme = 'light' | 'dark';
+
 /**
  * DarkModeToggle - A sleek animated button component for toggling dark mode
  * 
  * @param {Object} props - Component props
  * @param {boolean} props.isDarkMode - Current dark mode state
  * @param {function} props.onToggle - Function to toggle dark mode
+ * @param {'light' | 'dark' | 'system'} [props.themeMode] - Current theme mode (segmented and cycle variants)
+ * @param {function} [props.onThemeModeChange] - Called with the newly selected mode (segmented and cycle variants)
  * @param {string} [props.className=''] - Additional CSS classes to apply
- * @param {'switch' | 'button' | 'icon'} [props.variant='switch'] - Toggle variant style
+ * @param {'switch' | 'button' | 'icon' | 'segmented' | 'cycle'} [props.variant='switch'] - Toggle variant style
  * @param {'small' | 'medium' | 'large'} [props.size='medium'] - Component size
  * @param {boolean} [props.disabled=false] - Whether the toggle is disabled
  * @param {boolean} [props.showLabels=true] - Whether to show sun/moon labels (switch variant only)
@@ -235,14 +468,18 @@ export interface ResponsiveTextProps extends React.HTMLAttributes<HTMLElement> {
  * @param {Object} [props.dataAttributes] - Object of data-* attributes to apply
  */
 export interface DarkModeToggleProps extends React.ButtonHTMLAttributes<HTMLButtonElement> {
-  /** Current dark mode state */
-  isDarkMode: boolean;
-  /** Callback function when toggle is clicked */
-  onToggle: () => void;
+  /** Current dark mode state (switch, button and icon variants) */
+  isDarkMode?: boolean;
+  /** Callback function when toggle is clicked (switch, button and icon variants) */
+  onToggle?: () => void;
+  /** Current theme mode (segmented and cycle variants) */
+  themeMode?: ThemeMode;
+  /** Called with the newly selected mode (segmented and cycle variants) */
+  onThemeModeChange?: (mode: ThemeMode) => void;
   /** Additional CSS classes */
   className?: string;
   /** Visual style variant of the toggle */
-  variant?: 'switch' | 'button' | 'icon';
+  variant?: 'switch' | 'button' | 'icon' | 'segmented' | 'cycle';
   /** Size of the toggle component */
   size?: 'small' | 'medium' | 'large';
   /** Whether the toggle is disabled */
@@ -253,18 +490,22 @@ export interface DarkModeToggleProps extends React.ButtonHTMLAttributes<HTMLButt
   lightIcon?: string;
   /** Icon to display in dark mode */
   darkIcon?: string;
+  /** Icon to display in system mode (segmented and cycle variants) */
+  systemIcon?: string;
   /** Text label for light mode */
   lightLabel?: string;
   /** Text label for dark mode */
   darkLabel?: string;
+  /** Text label for system mode (segmented and cycle variants) */
+  systemLabel?: string;
   /** Whether to animate state transitions */
   animate?: boolean;
   /** Horizontal alignment of the toggle */
   alignment?: 'left' | 'right' | 'center';
-  /** Callback fired when toggle animation starts */
-  onToggleStart?: () => void;
-  /** Callback fired when toggle animation completes */
-  onToggleComplete?: () => void;
+  /** Callback fired when toggle animation starts - receives the next state (boolean) or mode */
+  onToggleStart?: (next: boolean | ThemeMode) => void;
+  /** Callback fired when toggle animation completes - receives the new state (boolean) or mode */
+  onToggleComplete?: (next: boolean | ThemeMode) => void;
   /** Custom inline styles */
   customStyles?: React.CSSProperties;
   /** Accessibility label for screen readers */
@@ -307,6 +548,22 @@ export interface DarkModeToggleProps extends React.ButtonHTMLAttributes<HTMLButt
  * @param {'sm'|'md'|'lg'|'xl'|'full'} props.modalSize - Modal size variant
  * @param {'center'|'top'|'bottom'} props.modalPosition - Modal position on screen
  * @param {boolean} props.modalBlurBackdrop - Whether to blur the backdrop
+ * @param {'dialog'|'alertdialog'} props.modalRole - ARIA role of the modal (default: 'dialog')
+ * @param {string} props.modalTitleId - id of the element that labels the modal (sets aria-labelledby)
+ * @param {string} props.modalDescriptionId - id of the element that describes the modal (sets aria-describedby)
+ * @param {React.RefObject} props.initialFocusRef - Element to focus when the modal opens
+ * @param {boolean|React.RefObject} props.returnFocus - Restore focus to the trigger on close, or to the given element (default: true)
+ * @param {boolean} props.modalPortal - Render the modal in a portal instead of in place (default: true)
+ * @param {HTMLElement|Function} props.modalContainer - Portal target, or a function returning it (default: document.body)
+ * @param {'fade'|'scale'|'slide'|'none'} props.modalAnimation - Enter/exit animation (default: 'fade')
+ * @param {number|{enter: number, exit: number}} props.modalDuration - Animation duration(s) in ms
+ * @param {Function} props.onAfterOpen - Called once the modal has finished animating in
+ * @param {Function} props.onAfterClose - Called once the modal has finished animating out and unmounted
+ * @param {boolean} props.drawer - Render as a drawer sliding in from a screen edge
+ * @param {'left'|'right'|'top'|'bottom'} props.drawerPlacement - Edge the drawer is attached to (default: 'right')
+ * @param {'sm'|'md'|'lg'|'xl'|'full'|string} props.drawerSize - Drawer width or height, a preset or any CSS length
+ * @param {boolean} props.drawerPush - Push the page content aside instead of covering it
+ * @param {boolean} props.drawerSwipeToClose - Close the drawer by swiping it towards its edge (default: true)
  */
 export declare const ResponsiveContainer: React.FC<ResponsiveContainerProps>;
 
@@ -327,8 +584,28 @@ export declare const ResponsiveContainer: React.FC<ResponsiveContainerProps>;
  * @param {'start'|'center'|'end'|'between'} props.justifyItems - Horizontal alignment
  * @param {boolean} props.autoFit - Whether to use auto-fit instead of fixed columns
  * @param {'sm'|'md'|'lg'} props.autoFitSize - Size variant for auto-fit (sm=200px, md=250px, lg=300px)
+ * @param {number|string} props.minItemWidth - Minimum column width for auto-fit, any CSS length
+ * @param {number|string} props.maxItemWidth - Maximum column width for auto-fit
+ * @param {boolean} props.autoFill - Use auto-fill, which keeps empty tracks
+ */
+export declare const ResponsiveGrid: React.FC<ResponsiveGridProps> & {
+  /** Same as GridItem */
+  Item: React.FC<GridItemProps>;
+};
+
+/**
+ * GridItem - Places one child of a ResponsiveGrid: responsive colSpan, rowSpan, colStart, order and area
+ * (also available as ResponsiveGrid.Item)
  */
-export declare const ResponsiveGrid: React.FC<ResponsiveGridProps>;
+export declare const GridItem: React.FC<GridItemProps>;
+
+/**
+ * VirtualGrid - A ResponsiveGrid for thousands of items: resolves the column props for the active
+ * breakpoint and only mounts the rows in view of the window or a scroll element
+ */
+export declare const VirtualGrid: <T = unknown>(
+  props: VirtualGridProps<T> & React.RefAttributes<VirtualGridHandle>
+) => React.ReactElement | null;
 
 /**
  * ResponsiveText - A text component that scales typography across different screen sizes
@@ -383,7 +660,7 @@ export declare const ResponsiveText: React.FC<ResponsiveTextProps>;
  * 
  * 
  * useDarkModeAdvanced - Enhanced version of useDarkMode with more options
- * Note: Uses in-memory storage instead of localStorage for Claude.ai compatibility
+ * Note: State is kept in memory unless `persist` is set
  * 
  * @param {Object} [options] - Configuration options
  * @param {boolean} [options.defaultValue=false] - Default dark mode state when no system preference is available
@@ -394,10 +671,367 @@ export declare const ResponsiveText: React.FC<ResponsiveTextProps>;
  * @param {string} [options.lightClass='auto-dark'] - CSS class to apply to document element in light mode
  * @param {boolean} [options.applyToBody=false] - Whether to also apply classes to document body
  * @param {Object} [options.customClasses] - Custom classes to apply { dark: 'custom-dark', light: 'custom-light' }
- * @returns {Object} - { isDarkMode, toggleDarkMode, setDarkMode, systemPreference }
+ * @param {boolean|'localStorage'|'sessionStorage'|'cookie'|Object} [options.persist=false] - Where to remember the user's choice
+ * @param {string} [options.storageKey='rnp-theme'] - Key used to store the preference
+ * @param {boolean} [options.syncTabs=true] - Whether to follow changes made in other tabs
+ * @returns {Object} - { isDarkMode, themeMode, resolvedTheme, toggleDarkMode, setDarkMode, setThemeMode, cycleThemeMode, clearStoredPreference, systemPreference }
  */
 export declare const DarkModeToggle: React.FC<DarkModeToggleProps>;
 
+/**
+ * Custom storage adapter for persisting the theme preference
+ */
+export interface ThemeStorageAdapter {
+  /** Read the stored value (return null when nothing is stored) */
+  get: (key: string) => string | null | undefined;
+  /** Store a value */
+  set: (key: string, value: string) => void;
+  /** Remove the stored value */
+  remove?: (key: string) => void;
+  /** Listen for changes made elsewhere (e.g. other tabs). Returns an unsubscribe function */
+  subscribe?: (key: string, callback: (value: string | null) => void) => (() => void) | void;
+}
+
+/** Where the theme preference should be persisted */
+export type ThemePersistOption = boolean | 'localStorage' | 'sessionStorage' | 'cookie' | ThemeStorageAdapter;
+
+export interface UseDarkModeOptions {
+  /** Where to remember the user's choice (default: false, in memory only) */
+  persist?: ThemePersistOption;
+  /** Key used to store the preference (default: 'rnp-theme') */
+  storageKey?: string;
+}
+
+export interface UseDarkModeAdvancedOptions extends UseDarkModeOptions {
+  /** Default dark mode state when no system preference is available */
+  defaultValue?: boolean;
+  /** Whether to start in 'system' mode instead of `defaultValue` */
+  respectSystemPreference?: boolean;
+  /** Whether to listen for system theme changes */
+  watchSystemChanges?: boolean;
+  /** Callback fired when dark mode state changes */
+  onChange?: (isDarkMode: boolean, themeMode: ThemeMode) => void;
+  /** CSS class to apply to document element in dark mode */
+  documentClass?: string;
+  /** CSS class to apply to document element in light mode */
+  lightClass?: string;
+  /** Whether to also apply classes to document body */
+  applyToBody?: boolean;
+  /** Custom classes to apply */
+  customClasses?: { dark?: string; light?: string };
+  /** Whether to follow changes made in other tabs (default: true) */
+  syncTabs?: boolean;
+}
+
+export interface ThemeModeControls {
+  /** Selected mode ('system' follows the OS) */
+  themeMode: ThemeMode;
+  /** Theme that is actually shown */
+  resolvedTheme: ResolvedTheme;
+  /** Select a mode (persisted when `persist` is set) */
+  setThemeMode: (mode: ThemeMode) => void;
+  /** Move to the next mode: light → dark → system */
+  cycleThemeMode: () => void;
+}
+
+export interface UseDarkModeAdvancedResult extends ThemeModeControls {
+  /** Current dark mode state */
+  isDarkMode: boolean;
+  /** Toggle between explicit light and dark (persisted when `persist` is set) */
+  toggleDarkMode: () => void;
+  /** Set dark mode explicitly (persisted when `persist` is set) */
+  setDarkMode: (value: boolean) => void;
+  /** Forget the stored choice and go back to the initial mode */
+  clearStoredPreference: () => void;
+  /** Current system color scheme */
+  systemPreference: 'light' | 'dark';
+}
+
+/**
+ * useDarkMode - Simple dark mode hook that follows the system preference
+ */
+export declare function useDarkMode(defaultValue?: boolean, options?: UseDarkModeOptions): [boolean, () => void, ThemeModeControls];
+
+/**
+ * useDarkModeAdvanced - Enhanced version of useDarkMode with more options
+ */
+export declare function useDarkModeAdvanced(options?: UseDarkModeAdvancedOptions): UseDarkModeAdvancedResult;
+
+export interface ThemeScriptOptions {
+  /** Where the hooks persist the choice (default: 'localStorage'). Custom adapters can't run before hydration */
+  persist?: boolean | 'localStorage' | 'sessionStorage' | 'cookie';
+  /** Key used to store the preference (default: 'rnp-theme') */
+  storageKey?: string;
+  /** Mode used when nothing is stored (default: 'system') */
+  defaultMode?: ThemeMode;
+  /** CSS class applied in dark mode (default: 'dark') */
+  documentClass?: string;
+  /** CSS class applied in light mode (default: 'auto-dark') */
+  lightClass?: string;
+}
+
+export interface ThemeScriptProps extends ThemeScriptOptions {
+  /** CSP nonce for the inline script */
+  nonce?: string;
+}
+
+/**
+ * getThemeScript - Builds a tiny inline script that applies the theme class before first paint
+ * Returns the script source without <script> tags.
+ */
+export declare function getThemeScript(options?: ThemeScriptOptions): string;
+
+/**
+ * ThemeScript - Renders the getThemeScript output as an inline <script>. Place it inside <head>.
+ */
+export declare const ThemeScript: React.FC<ThemeScriptProps>;
+
+type TokenValue = string | number;
+type TokenScale = { [key: string]: TokenValue | TokenScale | undefined };
+
+/** Design tokens, emitted as `--rnp-<group>-<key>` custom properties */
+export interface ThemeTokens {
+  /** Brand, status and neutral colors, e.g. primary, primaryStrong, gray: { 500 } */
+  color?: TokenScale;
+  /** Border radius scale: none, sm, md, lg, xl, full */
+  radius?: TokenScale;
+  /** Box shadow scale: xs, sm, md, lg, xl, 2xl, 3xl */
+  shadow?: TokenScale;
+  /** Spacing scale: 0, 0.5, 1, 1.5, 2, 3, 4, 5, 6, 8, 10, 12, 16 */
+  space?: TokenScale;
+  /** Dark mode surfaces: bgPrimary, bgSecondary, bgTertiary, textPrimary, textSecondary, textMuted, border, shadow */
+  dark?: TokenScale;
+  /** Dark mode toggle gradients and shadows */
+  toggle?: TokenScale;
+  /** Raw custom properties, passed through as-is */
+  [customProperty: `--${string}`]: TokenValue | undefined;
+}
+
+export interface CreateThemeOptions {
+  /** Selector the generated CSS is scoped to (default: ':root') */
+  selector?: string;
+}
+
+export interface Theme {
+  /** Custom properties, usable as an inline style */
+  vars: Record<string, string>;
+  /** Stylesheet scoped to `selector` (empty when no tokens are set) */
+  css: string;
+  selector: string;
+}
+
+/**
+ * createTheme - Turns design tokens into the `--rnp-*` CSS custom properties read by style.css
+ */
+export declare function createTheme(tokens?: ThemeTokens, options?: CreateThemeOptions): Theme;
+
+/**
+ * injectTheme - Adds (or updates) a <style> element holding a createTheme result. Returns a cleanup function.
+ */
+export declare function injectTheme(theme: Pick<Theme, 'css'>, id?: string): () => void;
+
+export interface DialogOptions {
+  /** Dialog heading */
+  title?: React.ReactNode;
+  /** Dialog body */
+  message?: React.ReactNode;
+  /** Confirm button text (default: 'Confirm', or 'OK' for alert) */
+  confirmLabel?: React.ReactNode;
+  /** Cancel button text (default: 'Cancel') */
+  cancelLabel?: React.ReactNode;
+  /** Confirm button variant (default: 'danger' when destructive, otherwise 'primary') */
+  confirmVariant?: ResponsiveButtonProps['variant'];
+  /** Cancel button variant (default: 'outline') */
+  cancelVariant?: ResponsiveButtonProps['variant'];
+  /** Marks the action as destructive */
+  destructive?: boolean;
+  /** Modal size (default: 'sm') */
+  size?: ResponsiveContainerProps['modalSize'];
+  /** Whether clicking the backdrop cancels (default: true) */
+  closeOnBackdrop?: boolean;
+}
+
+/**
+ * confirm - Asks the user to confirm an action. Resolves with true when confirmed,
+ * false when cancelled or dismissed. Rendered by DialogHost.
+ */
+export declare function confirm(options?: DialogOptions | string): Promise<boolean>;
+
+/**
+ * alert - Shows a message with a single acknowledge button. Resolves once closed.
+ */
+export declare function alert(options?: Omit<DialogOptions, 'cancelLabel' | 'cancelVariant'> | string): Promise<void>;
+
+/**
+ * useDialog - confirm/alert bound to a component; dialogs still open on unmount are dismissed
+ */
+export declare function useDialog(): {
+  confirm: typeof confirm;
+  alert: typeof alert;
+};
+
+export interface DialogHostProps extends Partial<Omit<ResponsiveContainerProps, 'children' | 'modal' | 'modalOpen' | 'onModalClose'>> {}
+
+/**
+ * DialogHost - Renders the dialogs opened with confirm, alert and useDialog. Mount it once near the root.
+ */
+export declare const DialogHost: React.FC<DialogHostProps>;
+
+export type ToastType = 'success' | 'error' | 'info' | 'loading';
+export type ToastPosition = 'top-left' | 'top-center' | 'top-right' | 'bottom-left' | 'bottom-center' | 'bottom-right';
+
+export interface ToastOptions {
+  /** Reuse an id to update an existing toast */
+  id?: string;
+  /** Bold first line */
+  title?: React.ReactNode;
+  /** Time in ms before the toast dismisses itself; null or 0 keeps it open (default: the provider's duration) */
+  duration?: number | null;
+  /** Called when the toast is dismissed, by the user or the timer */
+  onDismiss?: (id: string) => void;
+}
+
+export interface ToastPromiseMessages<T> {
+  /** Shown while pending (default: 'Loading…') */
+  loading?: React.ReactNode;
+  /** Shown on success (default: 'Done') */
+  success?: React.ReactNode | ((value: T) => React.ReactNode);
+  /** Shown on failure (default: 'Something went wrong') */
+  error?: React.ReactNode | ((reason: any) => React.ReactNode);
+}
+
+export interface ToastApi {
+  /** Shows a toast (default type: 'info') and returns its id */
+  show: (message: React.ReactNode, options?: ToastOptions & { type?: ToastType }) => string;
+  success: (message: React.ReactNode, options?: ToastOptions) => string;
+  error: (message: React.ReactNode, options?: ToastOptions) => string;
+  info: (message: React.ReactNode, options?: ToastOptions) => string;
+  /** Loading toast that turns into a success or error toast; returns the original promise */
+  promise: <T>(promise: Promise<T> | (() => Promise<T>), messages?: ToastPromiseMessages<T>, options?: ToastOptions) => Promise<T>;
+  dismiss: (id: string) => void;
+  dismissAll: () => void;
+}
+
+export interface ToastProviderProps {
+  children?: React.ReactNode;
+  /** Corner the toasts stack in (default: 'bottom-right') */
+  position?: ToastPosition;
+  /** Default time in ms before a toast dismisses itself (default: 3000) */
+  duration?: number;
+  /** Maximum visible toasts, the oldest is dismissed first (default: 5) */
+  maxToasts?: number;
+  /** Pause auto-dismiss while the pointer or focus is on the toasts (default: true) */
+  pauseOnHover?: boolean;
+  /** Dark toasts (defaults to the ThemeProvider's dark mode) */
+  darkMode?: boolean;
+  /** Accessible name of the notification region (default: 'Notifications') */
+  label?: string;
+}
+
+/**
+ * ToastProvider - Renders toast notifications and provides the useToast() API
+ */
+export declare const ToastProvider: React.FC<ToastProviderProps>;
+
+/**
+ * useToast - Shows notifications through the nearest ToastProvider (no-ops outside one)
+ */
+export declare function useToast(): ToastApi;
+
+/** Minimum viewport width in px of each breakpoint, shared by the CSS and the hooks below (reflects configureBreakpoints) */
+export declare const BREAKPOINTS: Readonly<Record<Breakpoint, number>>;
+/** The built-in scale: sm 640, md 768, lg 1024, xl 1280, 2xl 1536 */
+export declare const DEFAULT_BREAKPOINTS: Readonly<Record<'sm' | 'md' | 'lg' | 'xl' | '2xl', number>>;
+
+/** Widths in px by breakpoint name, merged into the default scale */
+export type BreakpointOverrides = Partial<Record<Breakpoint, number>> & { [breakpoint: string]: number | undefined };
+
+/**
+ * configureBreakpoints - Changes the breakpoint scale of the CSS and the JS helpers.
+ * Moves existing breakpoints or adds new tiers; call it once before the first render.
+ * Sets `data-rnp-breakpoints` on <html> and injects the matching CSS. Returns a function that restores the previous scale.
+ */
+export declare function configureBreakpoints(
+  overrides: BreakpointOverrides,
+  options?: { id?: string; injectStyles?: boolean }
+): () => void;
+
+/**
+ * createBreakpointStyles - The breakpoint-dependent CSS for a scale, e.g. to server-render what configureBreakpoints injects
+ */
+export declare function createBreakpointStyles(overrides?: BreakpointOverrides, options?: { scope?: string }): string;
+
+/** '(min-width: …px)' for a breakpoint */
+export declare function getMinWidthQuery(breakpoint: Breakpoint): string;
+/** '(max-width: …px)' just below a breakpoint */
+export declare function getMaxWidthQuery(breakpoint: Breakpoint): string;
+/** Media query for a breakpoint range */
+export declare function getBreakpointQuery(range?: { above?: Breakpoint; below?: Breakpoint }): string;
+
+/**
+ * useMediaQuery - Whether a media query matches, updated as it changes.
+ * Returns `defaultValue` (false) on the server and during hydration.
+ */
+export declare function useMediaQuery(query: string, options?: { defaultValue?: boolean }): boolean;
+
+/**
+ * useBreakpoint - The active breakpoint: 'base' below sm, otherwise the widest breakpoint reached.
+ * Returns `defaultBreakpoint` ('base') on the server and during hydration.
+ */
+export declare function useBreakpoint(options?: { defaultBreakpoint?: 'base' | Breakpoint }): 'base' | Breakpoint;
+
+export interface BreakpointRangeProps {
+  children?: React.ReactNode;
+  /** From this breakpoint up */
+  above?: Breakpoint;
+  /** Narrower than this breakpoint */
+  below?: Breakpoint;
+  /** Any other media query, instead of above/below */
+  query?: string;
+}
+
+export interface ShowProps extends BreakpointRangeProps {
+  /** Rendered outside the range (default: null) */
+  fallback?: React.ReactNode;
+  /** Render the children on the server (default: false) */
+  ssr?: boolean;
+}
+
+export interface HideProps extends BreakpointRangeProps {
+  /** Render the children on the server (default: true) */
+  ssr?: boolean;
+}
+
+/**
+ * Show - Renders its children only inside a breakpoint range
+ */
+export declare const Show: React.FC<ShowProps>;
+
+/**
+ * Hide - Doesn't render its children inside a breakpoint range
+ */
+export declare const Hide: React.FC<HideProps>;
+
+/** Value shared by ThemeProvider */
+export type ThemeContextValue = UseDarkModeAdvancedResult;
+
+export interface ThemeProviderProps extends UseDarkModeAdvancedOptions {
+  /** Application tree */
+  children?: React.ReactNode;
+}
+
+/**
+ * ThemeProvider - Wires dark mode once at the root of the app
+ * Components read it automatically; explicit props on those components still win.
+ */
+export declare const ThemeProvider: React.FC<ThemeProviderProps>;
+
+/**
+ * useTheme - Reads the current theme from the nearest ThemeProvider
+ * Outside a provider it returns a static light theme whose setters do nothing.
+ */
+export declare function useTheme(): ThemeContextValue;
+
 /**
  * ResponsiveButton - A flexible button component that adapts to different screen sizes and contexts
  * 
@@ -599,15 +1233,99 @@ export declare const DarkModeToggle: React.FC<DarkModeToggleProps>;
  * </ResponsiveButton>
  */
 
-export declare const ResponsiveButton: React.FC<ResponsiveButtonProps>;
+export declare const ResponsiveButton: React.ForwardRefExoticComponent<ResponsiveButtonProps & React.RefAttributes<ResponsiveButtonHandle>>;
+
+export interface ButtonGroupProps extends React.HTMLAttributes<HTMLDivElement> {
+  children?: React.ReactNode;
+  /** Direction of the buttons (default: 'horizontal') */
+  orientation?: 'horizontal' | 'vertical';
+  /** Size shared by the buttons */
+  size?: ResponsiveButtonProps['size'];
+  /** Variant shared by the buttons */
+  variant?: ResponsiveButtonProps['variant'];
+  /** Shape of the group's outer corners (default: 'rounded') */
+  shape?: 'square' | 'rounded' | 'pill';
+  /** Join the buttons, otherwise they are spaced apart (default: true) */
+  attached?: boolean;
+  /** Stretch the group and share the width between the buttons (default: false) */
+  fullWidth?: boolean;
+  /** Disable every button in the group (default: false) */
+  disabled?: boolean;
+  /** Accessible name of the group */
+  label?: string;
+}
+
+/**
+ * ButtonGroup - Joins related ResponsiveButtons and shares size, variant, shape and disabled with them
+ */
+export declare const ButtonGroup: React.FC<ButtonGroupProps>;
+
+interface ToggleButtonGroupBaseProps extends Omit<ButtonGroupProps, 'onChange' | 'defaultValue'> {
+  /** Keep at least one button pressed (default: false) */
+  required?: boolean;
+  /** Variant of pressed buttons (default: 'primary') */
+  selectedVariant?: ResponsiveButtonProps['variant'];
+}
+
+export interface ToggleButtonGroupSingleProps<T = string> extends ToggleButtonGroupBaseProps {
+  /** One button pressed at a time (default) */
+  type?: 'single';
+  /** Pressed value of a controlled group */
+  value?: T | null;
+  /** Initially pressed value of an uncontrolled group */
+  defaultValue?: T | null;
+  onChange?: (value: T | null, event: React.MouseEvent<HTMLButtonElement>) => void;
+}
+
+export interface ToggleButtonGroupMultipleProps<T = string> extends ToggleButtonGroupBaseProps {
+  /** Any number of buttons pressed */
+  type: 'multiple';
+  /** Pressed values of a controlled group */
+  value?: T[];
+  /** Initially pressed values of an uncontrolled group */
+  defaultValue?: T[];
+  onChange?: (value: T[], event: React.MouseEvent<HTMLButtonElement>) => void;
+}
+
+export type ToggleButtonGroupProps<T = string> = ToggleButtonGroupSingleProps<T> | ToggleButtonGroupMultipleProps<T>;
+
+/**
+ * ToggleButtonGroup - Buttons with a pressed state, single or multi select, one tab stop with arrow key navigation.
+ * Each child ResponsiveButton needs a `value`.
+ */
+export declare function ToggleButtonGroup<T = string>(props: ToggleButtonGroupProps<T>): React.ReactElement;
+
+export interface SplitButtonItem {
+  label: React.ReactNode;
+  onSelect?: (event: React.MouseEvent<HTMLButtonElement>) => void;
+  disabled?: boolean;
+  icon?: React.ReactNode;
+  key?: React.Key;
+}
+
+export interface SplitButtonProps extends Omit<ResponsiveButtonProps, 'shape'> {
+  /** Menu of related actions */
+  items?: SplitButtonItem[];
+  /** Accessible name of the caret button (default: 'More options') */
+  menuLabel?: string;
+  /** Where the menu opens (default: 'bottom-end') */
+  menuPlacement?: 'bottom-start' | 'bottom-end' | 'top-start' | 'top-end';
+  /** Shape of the outer corners (default: 'rounded') */
+  shape?: 'square' | 'rounded' | 'pill';
+}
+
+/**
+ * SplitButton - A primary action joined to a caret that opens a menu of related actions
+ */
+export declare const SplitButton: React.FC<SplitButtonProps>;
 
 
 declare const _default: {
   ResponsiveContainer: React.FC<ResponsiveContainerProps>;
-  ResponsiveGrid: React.FC<ResponsiveGridProps>;
+  ResponsiveGrid: typeof ResponsiveGrid;
   ResponsiveText: React.FC<ResponsiveTextProps>;
   DarkModeToggle: React.FC<DarkModeToggleProps>;
-  ResponsiveButton: React.FC<ResponsiveButtonProps>;
+  ResponsiveButton: typeof ResponsiveButton;
 };
 
 export default _default;
\ No newline at end of file
@@ -1,6 +1,25 @@
 
 export { default as ResponsiveContainer } from './components/ResponsiveContainer.jsx';
 export { default as ResponsiveGrid } from './components/ResponsiveGrid.jsx';
+export { default as GridItem } from './components/GridItem.jsx';
+export { default as VirtualGrid } from './components/VirtualGrid.jsx';
 export { default as ResponsiveText } from './components/ResponsiveText.jsx';
-export { useDarkMode,DarkModeToggle } from './components/DarkmodeToggle.jsx';
+export { useDarkMode, useDarkModeAdvanced, DarkModeToggle } from './components/DarkmodeToggle.jsx';
 export { default as ResponsiveButton } from './components/ResponsiveButton.jsx';
+export { registerActionType, getActionType } from './components/actionTypes.js';
+export { default as ButtonGroup } from './components/ButtonGroup.jsx';
+export { default as ToggleButtonGroup } from './components/ToggleButtonGroup.jsx';
+export { default as SplitButton } from './components/SplitButton.jsx';
+export { default as ThemeProvider } from './components/ThemeProvider.jsx';
+export { useTheme } from './components/ThemeContext.js';
+export { ThemeScript, getThemeScript } from './components/ThemeScript.jsx';
+export { createTheme, injectTheme } from './components/createTheme.js';
+export { BREAKPOINTS, DEFAULT_BREAKPOINTS, getMinWidthQuery, getMaxWidthQuery, getBreakpointQuery } from './components/breakpoints.js';
+export { configureBreakpoints, createBreakpointStyles } from './components/breakpointStyles.js';
+export { useBreakpoint, useMediaQuery } from './components/mediaQuery.js';
+export { default as Show } from './components/Show.jsx';
+export { default as Hide } from './components/Hide.jsx';
+export { default as DialogHost } from './components/DialogHost.jsx';
+export { confirm, alert, useDialog } from './components/dialogStore.js';
+export { default as ToastProvider } from './components/ToastProvider.jsx';
+export { useToast } from './components/ToastContext.js';
@@ -0,0 +1,44 @@
+/**
+ * build-breakpoint-css - Writes the breakpoint sections of style.css from components/breakpointStyles.js
+ *
+ * Every section sits between a `@generated breakpoints: <name>` and an `@end breakpoints: <name>`
+ * comment. Run with `npm run build:css` after changing the default scale or a section's rules;
+ * `npm run build:css -- --check` fails instead of writing when style.css is out of date.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_BREAKPOINTS } from '../components/breakpoints.js';
+import {
+  BREAKPOINT_SECTIONS,
+  DEFAULT_BREAKPOINTS_SCOPE,
+  createBreakpointSection
+} from '../components/breakpointStyles.js';
+
+const stylesheetPath = fileURLToPath(new URL('../style.css', import.meta.url));
+const checkOnly = process.argv.includes('--check');
+
+const source = readFileSync(stylesheetPath, 'utf8');
+let output = source;
+
+Object.keys(BREAKPOINT_SECTIONS).forEach((name) => {
+  const section = new RegExp(
+    `(/\\* @generated breakpoints: ${name} .*?\\*/\\n)[\\s\\S]*?(/\\* @end breakpoints: ${name} \\*/)`
+  );
+  if (!section.test(output)) {
+    throw new Error(`style.css has no markers for the "${name}" breakpoint section`);
+  }
+
+  const css = createBreakpointSection(name, DEFAULT_BREAKPOINTS, DEFAULT_BREAKPOINTS_SCOPE);
+  output = output.replace(section, (match, start, end) => `${start}${css}\n${end}`);
+});
+
+if (output === source) {
+  console.log('style.css breakpoint sections are up to date');
+} else if (checkOnly) {
+  console.error('style.css breakpoint sections are out of date, run npm run build:css');
+  process.exit(1);
+} else {
+  writeFileSync(stylesheetPath, output);
+  console.log('Updated the breakpoint sections of style.css');
+}